@@ -5,27 +5,140 @@
 
 import { Player } from '../core/Player.js';
 import { Tile } from '../core/Tile.js';
-import { Judge } from '../logic/Judge.js'; // 和了判定、向聴数計算などを利用
+import { Judge } from '../logic/Judge.js'; // 和了判定などを利用
+import { Shanten, KIND_COUNT } from '../logic/Shanten.js'; // 向聴数計算
+import { Random } from '../core/Random.js';
+import { Defense } from './Defense.js';
+import { Search } from './Search.js';
+import { Scorer } from '../logic/Scorer.js';
+import { TILE_TYPE, EXCLUDED_TILES, WIND_TILE_CODES, DRAGON_CODES } from '../config.js';
+
+// 強さ (level) ごとの思考の重み
+// noise: 打牌の評価値に加える乱数の幅 (大きいほど牌効率のミスが増える)
+// countVisible: 有効牌の残り枚数から見えている牌を除くか (false なら1種4枚として数える)
+// goodShape: 1向聴で、引けば好形聴牌になる有効牌を加点するか (思考時間内で評価の高い候補から)
+// defenseDepth: 立直者に対する危険度の読みの深さ (Defense.js の DEFENSE_DEPTHS)
+// search: 評価の高い打牌候補をプレイアウトの期待値で比べ直すか (Search.js。思考時間は cpuProfile.searchTime)
+const LEVEL_WEIGHTS = {
+    beginner: { noise: 400, countVisible: false, goodShape: false, defenseDepth: 'genbutsu', search: false },
+    standard: { noise: 0, countVisible: true, goodShape: false, defenseDepth: 'suji', search: false },
+    strong: { noise: 0, countVisible: true, goodShape: true, defenseDepth: 'full', search: true }
+};
+
+// 期待値探索
+const SEARCH_CANDIDATES = 4;   // 期待値で比べる打牌候補の数 (評価の高い順、同じ種類の牌は1つ)
+const SEARCH_MAX_SHANTEN = 2;  // 立直者がいなければ、この向聴数より遠い手は探索しない (和了がほぼ発生せず差が出ない)
+
+// 牌効率 (受け入れ) の評価
+const UKEIRE_WEIGHT = 3;       // 有効牌の残り1枚あたりの評価
+const GOOD_SHAPE_WEIGHT = 2;   // 1向聴で、引けば好形聴牌になる有効牌の残り1枚あたりの加点
+const GOOD_WAIT_TILES = 5;     // 聴牌時の待ち牌の残り枚数がこれ以上なら好形
+const GOOD_SHAPE_CANDIDATES = 6; // 好形の加点を計算する1向聴の打牌候補の数 (評価の高い順、同じ種類の牌は1つ)
+
+// 打ち筋 (personality) ごとの思考の重み
+// safetyLevel: 安全度の重み / valueWeight: 赤ドラ・役牌を温存する重み / honitsuWeight: 混一色の染め色以外を切る重み
+// call: ポンの方針 ('yakuhai': 向聴数が進む役牌のみ, 'aggressive': 役が確定していれば何でも, 'value': 役牌と混一色の染め色)
+// foldShanten: 他家の立直に対してオリる向聴数 (この向聴数以上ならオリる。0 は聴牌でもオリる)
+const PERSONALITY_WEIGHTS = {
+    balanced: { safetyLevel: 0, valueWeight: 5, honitsuWeight: 0, call: 'yakuhai', foldShanten: 1 },
+    aggressive: { safetyLevel: 0, valueWeight: 5, honitsuWeight: 0, call: 'aggressive', foldShanten: 2 },
+    defensive: { safetyLevel: 3, valueWeight: 5, honitsuWeight: 0, call: 'yakuhai', foldShanten: 0 },
+    valueHunter: { safetyLevel: 0, valueWeight: 30, honitsuWeight: 60, call: 'value', foldShanten: 1 }
+};
+
+// オリるときの安全度の重み (向聴数や牌効率の評価より安全度を優先させる)
+const FOLD_SAFETY_LEVEL = 100;
+
+// 立直者がいるときの押し (聴牌・手が近い) の安全度の重み
+const PUSH_SAFETY_LEVEL = 5;
+
+// 安全スコアの基準 (危険度をこの値から引いて安全スコアにする)
+const MAX_DANGER = 20;
+
+// 立直判断の基準
+const DAMA_HAN = 4;        // 立直しなくてもこの翻数以上あれば黙聴 (満貫級)
+const BAD_WAIT_TILES = 2;  // 残り枚数がこの枚数以下の待ちは悪形 (役があれば黙聴)
+
+// 九種九牌で流さずに国士無双を狙う向聴数 (これ以下なら続行)
+const KOKUSHI_PURSUIT_SHANTEN = 2;
+
+// 混一色を狙う目安 (染め色と字牌以外の牌がこの枚数以下)
+const HONITSU_OFF_SUIT_LIMIT = 3;
 
 export class Cpu {
+    /**
+     * ツモ番の行動を決定する (ツモ和了・九種九牌・北抜き・カン・打牌と立直)
+     * 強いCPUの思考時間 (cpuProfile.searchTime) はこの関数の開始から数え、立直の判断を含めた全体をその中に収める
+     * @param {Player} player - 思考対象のCPUプレイヤー (ツモ牌を含む手牌)
+     * @param {string[]} actions - 打牌以外に選択できる行動 (GameState.getSelfActions() の結果)
+     * @param {Object} [view] - 卓上の公開情報 (GameState.getTableView())
+     * @param {Random} [rng] - 評価のばらつきに使う乱数生成器
+     * @returns {{type: 'tsumo'} | {type: 'kyuushu'} | {type: 'kita'} | {type: 'kan', code: string} | {type: 'discard', tile: Tile, riichi: boolean}}
+     */
+    static decideTurnAction(player, actions, view = null, rng = new Random(Random.createSeed())) {
+        const startTime = performance.now();
+
+        // 1. ツモ和了できるなら必ず和了
+        if (actions.includes('tsumo')) return { type: 'tsumo' };
+
+        // 2. 九種九牌 (国士無双を狙えるほど幺九牌が揃っていなければ流す)
+        if (actions.includes('kyuushu')
+            && Shanten.calculateKokushi(Shanten.toCounts(player.hand)) > KOKUSHI_PURSUIT_SHANTEN) {
+            return { type: 'kyuushu' };
+        }
+
+        // 3. 北抜き (北が手牌の構成に必要な場合を除き、常に抜く)
+        if (actions.includes('kita') && !this._isNorthNeeded(player)) return { type: 'kita' };
+
+        // 4. カン (向聴数が変わらない場合のみ)
+        const kanCode = this._chooseKan(player, actions, view);
+        if (kanCode) return { type: 'kan', code: kanCode };
+
+        // 5. 打牌 (立直後はツモ切りのみ)
+        if (player.isRiichi && player.lastDrawnTile) {
+            return { type: 'discard', tile: player.lastDrawnTile, riichi: false };
+        }
+        if (!actions.includes('riichi')) {
+            return { type: 'discard', tile: this.decideDiscard(player, player.hand, rng, view, startTime), riichi: false };
+        }
+
+        // 6. 立直できる場合は、聴牌打牌ごとの立直/黙聴と価値を先に見積もり (残りの思考時間を打牌の探索に使う)、
+        // 聴牌を取る打牌を選んだら、聴牌打牌の中から待ちと打点で打牌と立直/黙聴を選び直す
+        const options = this._evaluateTenpaiDiscards(player, view);
+        const tile = this.decideDiscard(player, player.hand, rng, view, startTime);
+        return { type: 'discard', ...this._chooseTenpaiDiscard(player, tile, view, options) };
+    }
+
     /**
      * CPUの打牌を決定する (メインルーチン)
+     * 強いCPUは、受け入れの評価の後の好形の加点と期待値探索を、思考の開始から cpuProfile.searchTime ミリ秒以内に打ち切る
      * @param {Player} player - 思考対象のCPUプレイヤー
      * @param {Tile[]} hand - ツモ牌を含む14枚の手牌
+     * @param {Random} [rng] - 評価のばらつきに使う乱数生成器 (シードによる再現のため、山とは別の GameState.cpuRng を渡す)
+     * @param {Object} [view] - 卓上の公開情報 (GameState.getTableView()。省略時は他家の河を読まない)
+     * @param {number} [startTime] - 思考の開始時刻 (performance.now() の値。decideTurnAction() から呼ぶ場合はその開始時刻)
      * @returns {Tile} 捨てるべき牌
      */
-    static decideDiscard(player, hand) {
-        
+    static decideDiscard(player, hand, rng = new Random(Random.createSeed()), view = null, startTime = performance.now()) {
+        // 向聴数のキャッシュ (受け入れ・好形・期待値探索で同じ手牌の向聴数を何度も求めるため、1回の判断の間は共有する)
+        const shantenCache = new Map();
+
         // 1. 手牌の初期評価
         // 現在の向聴数を計算
-        const currentShanten = this.calculateShanten(hand, player.naki);
+        const currentShanten = Shanten.calculateCached(Shanten.toCounts(hand), player.naki.length, shantenCache);
 
         // 2. 門前/副露の状態、局の進行度、点棒状況に応じた戦略の決定
         // 例: { strategy: 'speed', safetyLevel: 0 }
-        const strategy = this.determineStrategy(player, currentShanten);
+        const strategy = this.determineStrategy(player, currentShanten, view);
+        // 強いCPUの思考時間 (好形の加点と期待値探索はこの時刻までに打ち切る)
+        const deadline = startTime + strategy.searchTime;
+        const honitsuSuit = strategy.honitsuWeight > 0 ? this._findHonitsuSuit(hand, player.naki) : null;
+
+        // 有効牌の残り枚数を数えるための、見えている牌の枚数 (自分の手牌・河・副露・抜きドラ・ドラ表示牌)
+        const visible = strategy.countVisible ? Defense.countVisible(view, hand) : {};
+        const efficiencyCache = new Map(); // 同じ種類の牌を切った場合の牌効率は共通
         
-        let bestDiscardTile = null;
-        let bestEvaluation = -Infinity;
+        const evaluations = []; // 好形の加点と期待値探索の候補選び用
 
         // 3. 全ての牌を試して、最も「良い」打牌を決定する
         for (const tile of hand) {
@@ -36,7 +149,7 @@ export class Cpu {
             // 3-1. 向聴数評価 (最も重要: 向聴数が進む牌は高評価)
             // その牌を捨てたとき、向聴数が何になるか
             const nextHand = hand.filter(t => t.uniqueId !== tile.uniqueId);
-            const nextShanten = this.calculateShanten(nextHand, player.naki);
+            const nextShanten = Shanten.calculateCached(Shanten.toCounts(nextHand), player.naki.length, shantenCache);
             
             // 向聴数が進む（減少）: 非常に高い評価
             // 向聴数が変わらない: 標準評価
@@ -45,45 +158,95 @@ export class Cpu {
 
 
             // 3-2. 牌効率評価 (聴牌までの速度に寄与)
-            // その牌を捨てた後、待ち牌（有効牌）の枚数が最大になるかを評価
-            // 牌効率が高い牌ほど評価が高い
-            const effectiveTiles = this._calculateEffectiveTiles(nextHand);
-            evaluation += effectiveTiles.length * 10; 
+            // その牌を捨てた後、向聴数が進む牌 (有効牌) の残り枚数が多いほど評価が高い
+            // (強いCPUの好形聴牌になる有効牌の加点は、全ての牌を評価した後に 4. で行う)
+            const code = tile.toNormalCode();
+            if (!efficiencyCache.has(code)) {
+                efficiencyCache.set(code, this._calculateUkeire(nextHand, player.naki, nextShanten, visible, shantenCache));
+            }
+            const ukeire = efficiencyCache.get(code);
+            evaluation += ukeire.count * UKEIRE_WEIGHT;
             
             
             // 3-3. 安全度評価 (守備に寄与)
             // 局の終盤や他家のリーチ時、この評価が支配的になる
             // その牌が他家にロンされる危険性（現物、スジ、壁）を評価
-            const safetyScore = this._evaluateSafety(tile, player);
+            const safetyScore = this._evaluateSafety(tile, player, hand, view, strategy.defenseDepth);
             evaluation += safetyScore * strategy.safetyLevel; // 戦略に基づき重み付け
 
             
             // 3-4. 点数的な価値評価
             // ドラ、役牌、赤ドラなどの価値を評価
             if (tile.isRed || this.isYakuHai(tile, player)) {
-                evaluation -= 5; // 基本的に価値の高い牌は温存するため、評価を低くする
+                evaluation -= strategy.valueWeight; // 基本的に価値の高い牌は温存するため、評価を低くする
             }
 
-            // 4. 最も評価の高い牌を更新
+            // 3-5. 混一色狙い (染め色以外の数牌を優先して切る)
+            if (honitsuSuit && tile.type !== honitsuSuit && tile.type !== TILE_TYPE.JIHAI) {
+                evaluation += strategy.honitsuWeight;
+            }
+
+            // 3-6. 強さに応じたばらつき (初心者は牌効率のミスをする)
+            if (strategy.noise > 0) {
+                evaluation += (rng.next() - 0.5) * strategy.noise;
+            }
+
+            evaluations.push({ tile, evaluation, nextHand, nextShanten, ukeire });
+        }
+
+        // 4. 強いCPUは、評価の高い1向聴の候補に好形聴牌になる有効牌を加点する
+        if (strategy.goodShape) {
+            this._addGoodShapeBonus(evaluations, player.naki, visible, shantenCache, deadline);
+        }
+
+        // 最も評価の高い牌 (同じなら手牌の先の牌)
+        let bestDiscardTile = null;
+        let bestEvaluation = -Infinity;
+        for (const { tile, evaluation } of evaluations) {
             if (evaluation > bestEvaluation) {
                 bestEvaluation = evaluation;
                 bestDiscardTile = tile;
             }
         }
 
-        // 5. リーチ判断 (向聴数が0、つまり聴牌している場合)
-        if (currentShanten === 0 && !player.isRiichi) {
-            if (strategy.strategy === 'speed' || strategy.strategy === 'balanced') {
-                // 簡易的にリーチを行う
-                console.log("CPUがリーチ宣言！");
-                // リーチ宣言牌として返す (GameState側で処理される)
-            }
+        // 5. 強いCPUは、評価の高い候補をプレイアウトの期待値 (和了率・打点・放銃率) で比べ直す
+        if (this._shouldSearch(strategy, currentShanten, view)) {
+            bestDiscardTile = this._searchDiscard(player, hand, evaluations, view, rng, deadline, shantenCache) || bestDiscardTile;
         }
-        
-        // 最終的な打牌
+
+        // 最終的な打牌 (立直するかは decideTurnAction で判断する)
         return bestDiscardTile || hand[0]; // fallbackとして最初の牌を捨てる
     }
     
+    /**
+     * 他家の捨て牌に対する行動 (ロン・ポン・カン・見送り) を決定する
+     * @param {Player} player - 思考対象のCPUプレイヤー
+     * @param {Tile} tile - 捨てられた牌
+     * @param {string[]} actions - 選択できる行動 (例: ['ron', 'pon'])
+     * @param {Object} [view] - 卓上の公開情報 (GameState.getTableView())
+     * @returns {{type: 'ron' | 'pon' | 'kan' | 'pass'}} 選択した行動
+     */
+    static decideCall(player, tile, actions, view = null) {
+        // 1. ロンできるなら必ずロン
+        if (actions.includes('ron')) return { type: 'ron' };
+
+        // オリている場合は鳴かない
+        const isFolding = this.determineStrategy(player, this.calculateShanten(player.hand, player.naki), view).strategy === 'fold';
+        if (isFolding) return { type: 'pass' };
+
+        // 2. ポンは打ち筋に応じて、役が確保できて向聴数が進む場合のみ
+        if (actions.includes('pon') && this._shouldPon(player, tile)) {
+            return { type: 'pon' };
+        }
+
+        // 3. 大明槓は既に鳴いていて役があり、向聴数が戻らない場合のみ (門前を崩してまではしない)
+        if (actions.includes('kan') && this._shouldDaiminkan(player, tile)) {
+            return { type: 'kan' };
+        }
+
+        return { type: 'pass' };
+    }
+
     // --- 補助ロジック ---
 
     /**
@@ -93,35 +256,49 @@ export class Cpu {
      * @returns {number} 向聴数 (0=聴牌, -1=和了)
      */
     static calculateShanten(hand, naki) {
-        // 麻雀AIで最も複雑なロジックの一つ。ここでは骨格のみ
-        
-        // 面子の数 (鳴きを含む)
-        const mentsuCount = naki.length + 4 - currentShanten; 
-        
-        // 1. 標準形 (4面子1雀頭) の向聴数計算
-        // 2. 七対子の向聴数計算
-        // 3. 国士無双の向聴数計算
-        
-        // 最も小さい向聴数を採用
-        
-        // 簡易実装として、常に1向聴を返す (開発中の仮の値)
-        return 1; 
+        // 標準形・七対子・国士無双のうち最小の向聴数 (計算は Shanten.js に委譲)
+        return Shanten.calculate(hand, naki).shanten;
     }
     
     /**
      * 戦略を決定する (速度優先、安全優先、バランス型など)
+     * CPUの強さ (level) と打ち筋 (personality) から評価の重みを組み立てる
+     * @param {Player} player - 思考対象のCPUプレイヤー
+     * @param {number} currentShanten - 現在の向聴数
+     * @param {Object} [view] - 卓上の公開情報 (他家の立直を見てオリるかを決める)
+     * @returns {{strategy: string, safetyLevel: number, noise: number, countVisible: boolean, goodShape: boolean, defenseDepth: string, search: boolean, searchTime: number, valueWeight: number, honitsuWeight: number, call: string, foldShanten: number}}
      */
-    static determineStrategy(player, currentShanten) {
+    static determineStrategy(player, currentShanten, view = null) {
         // 簡易的な戦略決定ロジック
         // 1. 親番、トップ目、終盤でない -> 速度（speed）
         // 2. 他家リーチあり、ラス目、終盤 -> 守備（safety）
         // 3. その他 -> バランス（balanced）
+        const profile = player.cpuProfile || {};
+        const level = LEVEL_WEIGHTS[profile.level] || LEVEL_WEIGHTS.standard;
+        const personality = PERSONALITY_WEIGHTS[profile.personality] || PERSONALITY_WEIGHTS.balanced;
         
-        const strategy = { strategy: 'speed', safetyLevel: 0 }; // 序盤は速度優先
+        const strategy = { strategy: 'speed', ...level, ...personality }; // 序盤は速度優先
+        strategy.searchTime = level.search ? (profile.searchTime || 0) : 0;
         
         if (currentShanten >= 3) {
             strategy.strategy = 'rebuild'; // 悪形手牌は一旦立て直し
         }
+
+        // 守備型は手が遠いほど安全度を重視する
+        if (profile.personality === 'defensive' && currentShanten >= 2) {
+            strategy.strategy = 'safety';
+            strategy.safetyLevel *= 2;
+        }
+
+        // 他家の立直には、手が遠ければオリ (安全度が支配的)、近ければ押し
+        if (view && Defense.findThreats(view).length > 0) {
+            if (currentShanten >= strategy.foldShanten) {
+                strategy.strategy = 'fold';
+                strategy.safetyLevel = FOLD_SAFETY_LEVEL;
+            } else {
+                strategy.safetyLevel = Math.max(strategy.safetyLevel, PUSH_SAFETY_LEVEL);
+            }
+        }
         
         // 終盤の判定 (壁の残り枚数など)
         // if (this.wall.remainingTiles < 10) {
@@ -142,53 +319,437 @@ export class Cpu {
     }
 
     /**
-     * その牌を捨てた後の有効牌（待ち牌）の枚数を計算する
-     * ※これも複雑なロジック
+     * 手牌の受け入れ (有効牌) を計算する
+     * 牌を1枚加えたときに向聴数が進む牌の種類と、その牌が見えていない残り枚数の合計
+     * @param {Tile[]} hand - 打牌後の手牌 (13枚)
+     * @param {Array<Object>} naki - 鳴き牌の配列
+     * @param {number} shanten - 打牌後の向聴数
+     * @param {Object<string, number>} visible - 見えている牌の枚数 (Defense.countVisible())
+     * @param {Map<string, number>} cache - 向聴数のキャッシュ
+     * @returns {{codes: string[], count: number}} 有効牌の牌コードと残り枚数の合計
      */
-    static _calculateEffectiveTiles(hand) {
-        // その牌を抜いた13枚の手牌で、何種類の牌がくれば向聴数が進むか/聴牌するか
-        // を計算し、それらの牌の山に残っている枚数を合計する。
-        
-        // 簡易実装として、手牌の種類数 * 4
-        const tileTypes = new Set(hand.map(t => t.toNormalCode()));
-        return Array.from(tileTypes);
+    static _calculateUkeire(hand, naki, shanten, visible, cache) {
+        const counts = Shanten.toCounts(hand);
+        const codes = [];
+        let count = 0;
+
+        for (let index = 0; index < KIND_COUNT; index++) {
+            const code = Shanten.indexToCode(index);
+            const remaining = 4 - Math.max(counts[index], visible[code] || 0);
+            if (EXCLUDED_TILES.includes(code) || remaining <= 0) continue;
+
+            counts[index]++;
+            if (Shanten.calculateCached(counts, naki.length, cache) < shanten) {
+                codes.push(code);
+                count += remaining;
+            }
+            counts[index]--;
+        }
+        return { codes, count };
+    }
+
+    /**
+     * 評価の高い1向聴の打牌候補から順に、好形聴牌になる有効牌の残り枚数を加点する
+     * 思考時間を過ぎたら打ち切る (残りの評価の低い候補は加点しない)
+     * @param {Array<{tile: Tile, evaluation: number, nextHand: Tile[], nextShanten: number, ukeire: Object}>} evaluations - 打牌ごとの評価 (evaluation を書き換える)
+     * @param {Array<Object>} naki - 鳴き牌の配列
+     * @param {Object<string, number>} visible - 見えている牌の枚数
+     * @param {Map<string, number>} cache - 向聴数のキャッシュ
+     * @param {number} deadline - 打ち切る時刻 (performance.now() の値)
+     */
+    static _addGoodShapeBonus(evaluations, naki, visible, cache, deadline) {
+        // 1. 評価の高い順に、同じ種類の牌を除いて加点を計算する
+        const bonuses = new Map(); // 同じ種類の牌を切った場合の加点は共通
+        for (const entry of [...evaluations].sort((a, b) => b.evaluation - a.evaluation)) {
+            const code = entry.tile.toNormalCode();
+            if (entry.nextShanten !== 1 || bonuses.has(code)) continue;
+
+            const goodShapeCount = this._calculateGoodShapeCount(entry.nextHand, naki, entry.ukeire, visible, cache, deadline);
+            if (goodShapeCount === null) break; // 時間切れ (途中まで数えた候補は加点しない)
+            bonuses.set(code, goodShapeCount * GOOD_SHAPE_WEIGHT);
+            if (bonuses.size >= GOOD_SHAPE_CANDIDATES) break;
+        }
+
+        // 2. 加点
+        for (const entry of evaluations) {
+            entry.evaluation += bonuses.get(entry.tile.toNormalCode()) || 0;
+        }
+    }
+
+    /**
+     * 1向聴の手牌で、引けば好形聴牌 (待ち牌の残りが GOOD_WAIT_TILES 枚以上) になる有効牌の残り枚数を数える
+     * @param {Tile[]} hand - 打牌後の手牌 (1向聴)
+     * @param {Array<Object>} naki - 鳴き牌の配列
+     * @param {{codes: string[]}} ukeire - この手牌の受け入れ (_calculateUkeire() の結果)
+     * @param {Object<string, number>} visible - 見えている牌の枚数
+     * @param {Map<string, number>} cache - 向聴数のキャッシュ
+     * @param {number} deadline - 打ち切る時刻 (performance.now() の値)
+     * @returns {number | null} 残り枚数の合計、または時間切れの場合は null
+     */
+    static _calculateGoodShapeCount(hand, naki, ukeire, visible, cache, deadline) {
+        const counts = Shanten.toCounts(hand);
+        let count = 0;
+
+        for (const code of ukeire.codes) {
+            if (performance.now() >= deadline) return null;
+
+            // 1. 有効牌を引いた手牌 (引いた牌も見えている牌に加える)
+            const drawnIndex = Shanten.codeToIndex(code);
+            const remaining = 4 - Math.max(visible[code] || 0, counts[drawnIndex]);
+            const seen = { ...visible, [code]: 4 - remaining + 1 };
+            counts[drawnIndex]++;
+
+            // 2. 聴牌に取る打牌のうち、待ち牌の残り枚数が最も多いもの
+            let bestWait = 0;
+            for (let discard = 0; discard < KIND_COUNT; discard++) {
+                if (counts[discard] === 0) continue;
+                counts[discard]--;
+                if (Shanten.calculateCached(counts, naki.length, cache) === 0) {
+                    bestWait = Math.max(bestWait, this._countWaitTiles(counts, naki.length, seen, cache));
+                }
+                counts[discard]++;
+            }
+            counts[drawnIndex]--;
+
+            // 3. 好形聴牌になる有効牌は、その残り枚数を数える
+            if (bestWait >= GOOD_WAIT_TILES) {
+                count += remaining;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * 聴牌している手牌の待ち牌の、見えていない残り枚数の合計
+     * @param {number[]} counts - 聴牌している手牌の牌種ごとの枚数
+     * @param {number} meldCount - 副露数
+     * @param {Object<string, number>} seen - 見えている牌の枚数
+     * @param {Map<string, number>} cache - 向聴数のキャッシュ
+     * @returns {number}
+     */
+    static _countWaitTiles(counts, meldCount, seen, cache) {
+        let total = 0;
+        for (let index = 0; index < KIND_COUNT; index++) {
+            const code = Shanten.indexToCode(index);
+            if (EXCLUDED_TILES.includes(code)) continue;
+
+            counts[index]++;
+            if (Shanten.calculateCached(counts, meldCount, cache) === -1) {
+                total += Math.max(0, 4 - (seen[code] || 0));
+            }
+            counts[index]--;
+        }
+        return total;
+    }
+
+    /**
+     * 期待値探索をするか判定する (探索する強さで思考時間があり、手が近いか立直者がいる場合)
+     * @param {Object} strategy - determineStrategy() の結果
+     * @param {number} currentShanten - 現在の向聴数
+     * @param {Object} [view] - 卓上の公開情報
+     * @returns {boolean}
+     */
+    static _shouldSearch(strategy, currentShanten, view = null) {
+        if (strategy.searchTime <= 0) return false;
+        const hasThreat = view !== null && Defense.findThreats(view).length > 0;
+        return hasThreat || currentShanten <= SEARCH_MAX_SHANTEN;
+    }
+
+    /**
+     * 評価の高い打牌候補を Search の期待値で比べ、最も期待値の高い牌を選ぶ (同じなら評価の高い方)
+     * @param {Player} player - 思考対象のCPUプレイヤー
+     * @param {Tile[]} hand - ツモ牌を含む手牌
+     * @param {Array<{tile: Tile, evaluation: number}>} evaluations - 打牌ごとの評価値
+     * @param {Object} [view] - 卓上の公開情報
+     * @param {Random} rng - 乱数生成器
+     * @param {number} deadline - 探索を打ち切る時刻 (performance.now() の値)
+     * @param {Map<string, number>} cache - 向聴数のキャッシュ
+     * @returns {Tile|null} 選んだ牌 (候補が1つ以下か、思考時間が残っていなければ null)
+     */
+    static _searchDiscard(player, hand, evaluations, view, rng, deadline, cache) {
+        // 1. 評価の高い順に、同じ種類の牌を除いて候補を選ぶ
+        const candidates = [];
+        const codes = new Set();
+        for (const { tile } of [...evaluations].sort((a, b) => b.evaluation - a.evaluation)) {
+            if (codes.has(tile.toNormalCode())) continue;
+            codes.add(tile.toNormalCode());
+            candidates.push(tile);
+            if (candidates.length >= SEARCH_CANDIDATES) break;
+        }
+        if (candidates.length <= 1 || performance.now() >= deadline) return null;
+
+        // 2. 期待値の最も高い候補
+        const results = Search.evaluateDiscards(player, hand, candidates, view, rng, deadline, cache);
+        return results.reduce((best, result) => result.expectedValue > best.expectedValue ? result : best).tile;
+    }
+
+    /**
+     * 打ち筋に応じて、捨てられた牌をポンするか判定する
+     * @param {Player} player - 思考対象のCPUプレイヤー
+     * @param {Tile} tile - 捨てられた牌
+     * @returns {boolean}
+     */
+    static _shouldPon(player, tile) {
+        const { call } = this.determineStrategy(player, 0);
+        const isYakuhai = this.isYakuHai(tile, player);
+
+        // 1. 役が確保できる鳴きか
+        if (!this._isCallForYaku(player, tile)) return false;
+
+        // 2. 向聴数が進むか (鳴き多めの打ち筋は、役牌なら向聴数が変わらなくても鳴く)
+        const currentShanten = this.calculateShanten(player.hand, player.naki);
+        const usedIds = player.hand.filter(t => t.isSameKind(tile)).slice(0, 2).map(t => t.uniqueId);
+        const nextHand = player.hand.filter(t => !usedIds.includes(t.uniqueId));
+        const nextShanten = Shanten.calculateFromCounts(Shanten.toCounts(nextHand), player.naki.length + 1).shanten;
+
+        if (call === 'aggressive' && isYakuhai) {
+            return nextShanten <= currentShanten;
+        }
+        return nextShanten < currentShanten;
+    }
+
+    /**
+     * 打ち筋に応じて、その牌を鳴いて役が確保できるか判定する (役牌、混一色の染め色、既に役牌を鳴いている)
+     * @param {Player} player - 思考対象のCPUプレイヤー
+     * @param {Tile} tile - 鳴く牌
+     * @returns {boolean}
+     */
+    static _isCallForYaku(player, tile) {
+        const { call } = this.determineStrategy(player, 0);
+        const isYakuhai = this.isYakuHai(tile, player);
+        const honitsuSuit = this._findHonitsuSuit([...player.hand, tile], player.naki);
+        const hasYakuhaiMeld = player.naki.some(meld => this.isYakuHai(meld.tiles[0], player));
+
+        if (call === 'value') {
+            return isYakuhai || (honitsuSuit !== null && (tile.type === honitsuSuit || tile.type === TILE_TYPE.JIHAI));
+        }
+        if (call === 'aggressive') {
+            const isHonitsuTile = honitsuSuit !== null && (tile.type === honitsuSuit || tile.type === TILE_TYPE.JIHAI);
+            return isYakuhai || hasYakuhaiMeld || isHonitsuTile;
+        }
+        return isYakuhai;
+    }
+
+    /**
+     * 捨てられた牌を大明槓するか判定する
+     * 既に鳴いていて (門前を崩さない)、役が確保でき、向聴数が戻らない場合のみ
+     * @param {Player} player - 思考対象のCPUプレイヤー
+     * @param {Tile} tile - 捨てられた牌
+     * @returns {boolean}
+     */
+    static _shouldDaiminkan(player, tile) {
+        if (player.naki.length === 0 || !this._isCallForYaku(player, tile)) return false;
+
+        const nextHand = player.hand.filter(t => !t.isSameKind(tile));
+        const nextShanten = Shanten.calculateFromCounts(Shanten.toCounts(nextHand), player.naki.length + 1).shanten;
+        return nextShanten <= this.calculateShanten(player.hand, player.naki);
+    }
+
+    /**
+     * ツモ番でカンする牌を選ぶ (暗槓・加槓)
+     * 立直中は GameState が待ちの変わらない暗槓だけを候補にするため常にカンし、
+     * それ以外はオリていない場合に、カン後の向聴数が最善の打牌と変わらないものを選ぶ
+     * @param {Player} player - 思考対象のCPUプレイヤー (ツモ牌を含む手牌)
+     * @param {string[]} actions - 選択できる行動 ('kan:牌コード' を含む)
+     * @param {Object} [view] - 卓上の公開情報
+     * @returns {string|null} カンする牌のコード、しない場合は null
+     */
+    static _chooseKan(player, actions, view = null) {
+        const codes = actions.filter(a => a.startsWith('kan:')).map(a => a.slice('kan:'.length));
+        if (codes.length === 0) return null;
+        if (player.isRiichi) return codes[0];
+
+        const currentShanten = this.calculateShanten(player.hand, player.naki);
+        if (this.determineStrategy(player, currentShanten, view).strategy === 'fold') return null;
+
+        // カンの後は嶺上牌をツモるため、打牌後の13枚と同じ扱いで比較する
+        const bestShanten = Math.min(...player.hand.map(tile =>
+            this.calculateShanten(player.hand.filter(t => t.uniqueId !== tile.uniqueId), player.naki)));
+        const shouminkanCodes = Judge.findShouminkanCodes(player);
+
+        return codes.find(code => {
+            const isShouminkan = shouminkanCodes.includes(code);
+            const nextHand = isShouminkan
+                ? player.hand.filter(t => t !== player.hand.find(h => h.toNormalCode() === code))
+                : player.hand.filter(t => t.toNormalCode() !== code);
+            const meldCount = player.naki.length + (isShouminkan ? 0 : 1);
+            return Shanten.calculateFromCounts(Shanten.toCounts(nextHand), meldCount).shanten <= bestShanten;
+        }) || null;
+    }
+
+    /**
+     * 北が手牌の構成に必要か (抜くと向聴数が戻るか) を判定する
+     * @param {Player} player - 思考対象のCPUプレイヤー (ツモ牌を含む手牌)
+     * @returns {boolean}
+     */
+    static _isNorthNeeded(player) {
+        const north = player.findNorth();
+        const shantenAfter = (tile) => this.calculateShanten(player.hand.filter(t => t.uniqueId !== tile.uniqueId), player.naki);
+
+        const bestShanten = Math.min(...player.hand.filter(t => !t.isSameKind(north)).map(shantenAfter));
+        return shantenAfter(north) > bestShanten;
+    }
+
+    /**
+     * 聴牌を取れる打牌ごとに、立直/黙聴と価値を見積もる (同じ種類の牌は1つ。赤ドラは残す)
+     * @param {Player} player - 思考対象のCPUプレイヤー (ツモ牌を含む手牌)
+     * @param {Object} [view] - 卓上の公開情報
+     * @returns {Array<{tile: Tile, riichi: boolean, remaining: number, value: number}>} _evaluateTenpaiDiscard() の結果
+     */
+    static _evaluateTenpaiDiscards(player, view = null) {
+        // 待ちの残り枚数は、打牌する牌も見えている牌として数える
+        const visible = Defense.countVisible(view, player.hand);
+        const options = [];
+        const codes = new Set();
+        for (const discard of Judge.findRiichiDiscards(player).sort((a, b) => a.isRed - b.isRed)) {
+            if (codes.has(discard.toNormalCode())) continue;
+            codes.add(discard.toNormalCode());
+            options.push(this._evaluateTenpaiDiscard(player, discard, view, visible));
+        }
+        return options;
+    }
+
+    /**
+     * 聴牌打牌の見積もりから、最も良い打牌と立直/黙聴を選ぶ
+     * decideDiscard() が聴牌を崩す打牌 (オリなど) を選んだ場合はそのまま黙って切る。
+     * 立直者がいる場合は、decideDiscard() の打牌より危険な聴牌打牌は選ばない
+     * @param {Player} player - 思考対象のCPUプレイヤー (ツモ牌を含む手牌)
+     * @param {Tile} tile - decideDiscard() が選んだ打牌
+     * @param {Object} [view] - 卓上の公開情報
+     * @param {Array<{tile: Tile, riichi: boolean, value: number}>} options - 聴牌打牌の見積もり (_evaluateTenpaiDiscards())
+     * @returns {{tile: Tile, riichi: boolean}}
+     */
+    static _chooseTenpaiDiscard(player, tile, view, options) {
+        // 1. 選んだ打牌が聴牌を取るか
+        const chosen = options.find(option => option.tile.isSameKind(tile));
+        if (!chosen) return { tile, riichi: false };
+
+        // 2. 立直者がいれば、選んだ打牌以上に安全な聴牌打牌だけを比べる
+        let candidates = options;
+        if (view && Defense.findThreats(view).length > 0) {
+            const { defenseDepth } = this.determineStrategy(player, 0, view);
+            const minSafety = this._evaluateSafety(tile, player, player.hand, view, defenseDepth);
+            candidates = options.filter(option =>
+                this._evaluateSafety(option.tile, player, player.hand, view, defenseDepth) >= minSafety);
+        }
+
+        // 3. 期待値 (待ちの残り枚数 × 打点) の最も高い打牌 (同じなら decideDiscard() の打牌)
+        const best = candidates.reduce((a, b) => b.value > a.value ? b : a, chosen);
+        return { tile: best.tile === chosen.tile ? tile : best.tile, riichi: best.riichi };
+    }
+
+    /**
+     * 聴牌打牌で立直するか (黙聴にするか) を決め、その打牌の価値を見積もる
+     * - 立直しないと役がない → 立直
+     * - 黙聴でも満貫級の打点がある → 黙聴
+     * - 待ちの残り枚数が少ない悪形で、黙聴でも役がある → 黙聴
+     * @param {Player} player - 思考対象のCPUプレイヤー (ツモ牌を含む手牌)
+     * @param {Tile} tile - 聴牌を取る打牌
+     * @param {Object} view - 卓上の公開情報 (ドラ・ルール)
+     * @param {Object<string, number>} visible - 見えている牌の枚数 (Defense.countVisible())
+     * @returns {{tile: Tile, riichi: boolean, remaining: number, value: number}} value: 待ちの残り枚数 × 和了時の基本点 (待ちのうち最も安いもの)
+     */
+    static _evaluateTenpaiDiscard(player, tile, view, visible) {
+        const nextHand = player.hand.filter(t => t.uniqueId !== tile.uniqueId);
+        const waits = Judge.findAllWaitTiles(nextHand, player.naki);
+
+        // 1. 待ちの質 (見えていない待ち牌の枚数)
+        const remaining = waits.reduce((sum, code) => sum + Math.max(0, 4 - (visible[code] || 0)), 0);
+
+        // 2. 黙聴/立直での打点 (待ち牌ごとのロン和了のうち最も安いもの)
+        const doraIndicators = view ? view.doraIndicators.map(code => this._codeToTile(code)) : [];
+        const context = view ? { config: view.rules } : {};
+        const riichiPlayer = Object.create(player);
+        riichiPlayer.isRiichi = true;
+        const lowestScore = (winner) => waits
+            .map(code => {
+                const agariTile = this._codeToTile(code);
+                return Scorer.calculateScore(winner, agariTile, true, [...nextHand, agariTile], doraIndicators, context);
+            })
+            .reduce((a, b) => b.basePoints < a.basePoints ? b : a);
+        const dama = lowestScore(player);
+
+        // 3. 立直/黙聴の判断
+        const riichi = dama.han === 0 || (dama.han < DAMA_HAN && remaining > BAD_WAIT_TILES);
+        const score = riichi ? lowestScore(riichiPlayer) : dama;
+        return { tile, riichi, remaining, value: remaining * score.basePoints };
+    }
+
+    /**
+     * 牌コード (Tile.toNormalCode() の形式) から評価用の牌を作る
+     * @param {string} code - 牌コード (例: '1p', 'z1')
+     * @returns {Tile}
+     */
+    static _codeToTile(code) {
+        if (code[0] === TILE_TYPE.JIHAI) {
+            return new Tile(TILE_TYPE.JIHAI, Number(code.slice(1)), false, -1);
+        }
+        return new Tile(code.slice(-1), Number(code[0]), false, -1);
+    }
+
+    /**
+     * 混一色を狙える染め色を返す (染め色と字牌以外の牌が少ない場合)
+     * @param {Tile[]} hand - 手牌
+     * @param {Array<Object>} naki - 鳴き牌の配列
+     * @returns {string|null} 染め色 ('m', 'p', 's')、狙えない場合は null
+     */
+    static _findHonitsuSuit(hand, naki) {
+        const tiles = [...hand, ...naki.flatMap(meld => meld.tiles)];
+
+        // 鳴いた数牌の面子が別の色なら、その色でしか染められない
+        for (const suit of [TILE_TYPE.MANZU, TILE_TYPE.PINZU, TILE_TYPE.SOUZU]) {
+            const offSuit = tiles.filter(t => t.type !== suit && t.type !== TILE_TYPE.JIHAI);
+            const openOffSuit = naki.some(meld => meld.tiles.some(t => t.type !== suit && t.type !== TILE_TYPE.JIHAI));
+            if (!openOffSuit && offSuit.length <= HONITSU_OFF_SUIT_LIMIT && tiles.some(t => t.type === suit)) {
+                return suit;
+            }
+        }
+        return null;
     }
 
     /**
      * 捨て牌の安全度を評価する (現物、スジ、字牌など)
      * @param {Tile} tile - 評価対象の牌
-     * @param {Player} player - 思考対象のプレイヤー (他家の河の情報を取得するため)
+     * @param {Player} player - 思考対象のプレイヤー
+     * @param {Tile[]} hand - 手牌 (見えている牌の枚数を数えるため)
+     * @param {Object} [view] - 卓上の公開情報 (他家の河・立直の情報を取得するため)
+     * @param {string} [depth='full'] - 危険度の読みの深さ
      * @returns {number} 安全スコア (高いほど安全)
      */
-    static _evaluateSafety(tile, player) {
+    static _evaluateSafety(tile, player, hand, view = null, depth = 'full') {
+        // 1. 立直者がいる場合は、現物・スジ・壁などから危険度を読む
+        if (view && Defense.findThreats(view).length > 0) {
+            return MAX_DANGER - Defense.calculateDanger(tile.toNormalCode(), view, hand, depth);
+        }
+
         let score = 0;
         
-        // 1. 現物判定 (他家の河にあるか)
-        // if (Judge.isGenbutsu(tile, player.otherPlayersKawa)) score += 100;
-        
         // 2. 字牌判定 (役牌でない字牌は比較的安全)
         if (tile.type === 'z' && !this.isYakuHai(tile, player)) score += 10;
         
-        // 3. 筋判定 (危険度を下げる要素)
-        
-        // 4. 序盤は危険度が低い
+        // 3. 序盤は危険度が低い
         // if (this.wall.remainingTiles > 20) score += 50;
         
         return score;
     }
     
     /**
-     * その牌が役牌かどうか判定する
+     * その牌が役牌かどうか判定する (三元牌・場風・自風)
+     * @param {Tile} tile - 判定対象の牌
+     * @param {Player} player - 思考対象のプレイヤー (席風・場風)
+     * @returns {boolean}
      */
     static isYakuHai(tile, player) {
+        const code = tile.toNormalCode();
+
         // 三元牌
-        if (tile.type === 'z' && (tile.value >= 5 && tile.value <= 7)) return true;
+        if (DRAGON_CODES.includes(code)) return true;
         
         // 場風
-        // if (tile.code === `${tile.value}${player.roundWind}`) return true;
+        if (code === WIND_TILE_CODES[player.roundWind]) return true;
         
         // 自風
-        // if (tile.code === `${tile.value}${player.seatWind}`) return true;
+        if (code === WIND_TILE_CODES[player.seatWind]) return true;
         
         return false;
     }
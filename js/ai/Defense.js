@@ -0,0 +1,242 @@
+/**
+ * js/ai/Defense.js
+ * 立直者に対する打牌の危険度の計算 (現物・スジ・壁/ノーチャンス・ワンチャンス・捨て牌の読み)
+ * CPUは GameState.getTableView() の読み取り専用ビューと自分の手牌だけを使って危険度を見積もる
+ */
+
+import { TILE_TYPE } from '../config.js';
+
+// 危険度の目安 (大きいほど放銃しやすく、0 は現物)
+const DANGER = {
+    GENBUTSU: 0,
+    HONOR_VISIBLE_3: 1,   // 3枚見えている字牌 (単騎・シャンポンの残り1枚のみ)
+    HONOR_VISIBLE_2: 3,   // 2枚見えている字牌
+    HONOR: 6,             // 生牌・1枚見えの字牌
+    SUJI_TERMINAL: 3,     // スジの1・9
+    SUJI: 5,              // スジの2・3・7・8、中スジの4・5・6
+    KATASUJI: 9,          // 片スジの4・5・6
+    NO_CHANCE: 4          // 両面待ちがありえない牌 (壁)
+};
+
+// 無スジの数牌の危険度 (数字ごと。両面・嵌張・辺張の組み合わせが多い中張牌ほど危険)
+const MUSUJI_DANGER = [null, 7, 9, 11, 13, 13, 13, 11, 9, 7];
+
+// 読みによる危険度の倍率
+const ONE_CHANCE_RATE = 0.7;   // ワンチャンス (両面の構成牌が3枚見えている)
+const EARLY_OUTSIDE_RATE = 0.8; // 序盤に手出しした牌の外側
+const MATAGI_RATE = 1.3;       // 立直宣言牌のまたぎ (宣言牌の両隣・2つ隣)
+const DORA_RATE = 1.3;         // ドラ (放銃したときの打点が高い)
+
+// 序盤とみなす打牌の数 (各自の河の何枚目まで)
+const EARLY_DISCARD_COUNT = 6;
+
+// 読みの深さ
+// 'genbutsu': 現物のみ / 'suji': 現物・スジ・字牌の見え方 / 'full': さらに壁・ワンチャンス・捨て牌の読み
+export const DEFENSE_DEPTHS = ['genbutsu', 'suji', 'full'];
+
+export class Defense {
+
+    /**
+     * 立直している他家を返す
+     * @param {Object} view - GameState.getTableView() の卓上情報
+     * @returns {Object[]} 立直者 (view.players の要素)
+     */
+    static findThreats(view) {
+        return view.players.filter(p => !p.isSelf && p.isRiichi);
+    }
+
+    /**
+     * 牌を捨てたときの危険度を計算する (立直者が複数いれば最も危険な相手の値)
+     * @param {string} code - 捨てる牌のコード (Tile.toNormalCode() の形式)
+     * @param {Object} view - GameState.getTableView() の卓上情報
+     * @param {Tile[]} hand - 自分の手牌 (見えている牌の枚数を数えるため)
+     * @param {string} [depth='full'] - 読みの深さ (DEFENSE_DEPTHS)
+     * @returns {number} 危険度 (立直者がいなければ 0)
+     */
+    static calculateDanger(code, view, hand, depth = 'full') {
+        const threats = this.findThreats(view);
+        if (threats.length === 0) return 0;
+
+        const visible = this.countVisible(view, hand);
+        return Math.max(...threats.map(threat => this._calculateDangerAgainst(code, threat, view, visible, depth)));
+    }
+
+    /**
+     * 立直者に対する現物 (ロンされない牌) のコードを返す
+     * 立直者自身の河の牌 (フリテン) と、立直後に他家が捨てて通った牌
+     * @param {Object} threat - 立直者 (view.players の要素)
+     * @param {Object} view - 卓上情報
+     * @returns {Set<string>}
+     */
+    static getGenbutsu(threat, view) {
+        const codes = new Set(threat.kawa.map(k => k.code));
+        if (threat.riichiDiscardIndex >= 0) {
+            view.discards.slice(threat.riichiDiscardIndex + 1).forEach(d => codes.add(d.code));
+        }
+        return codes;
+    }
+
+    /**
+     * 自分から見えている牌の枚数を牌コードごとに数える
+     * (自分の手牌・全員の河・副露・抜きドラ・ドラ表示牌。鳴かれた河の牌は副露側で数える)
+     * @param {Object | null} view - 卓上情報 (null なら自分の手牌のみ数える)
+     * @param {Tile[]} hand - 自分の手牌
+     * @returns {Object<string, number>}
+     */
+    static countVisible(view, hand) {
+        const counts = {};
+        const add = (code) => counts[code] = (counts[code] || 0) + 1;
+
+        hand.forEach(tile => add(tile.toNormalCode()));
+        if (!view) return counts;
+
+        view.doraIndicators.forEach(add);
+        view.players.forEach(p => {
+            p.kawa.filter(k => !k.isCalled).forEach(k => add(k.code));
+            p.naki.forEach(meld => meld.codes.forEach(add));
+            for (let i = 0; i < p.nukiDora; i++) add(`${TILE_TYPE.JIHAI}4`);
+        });
+        return counts;
+    }
+
+    // --- 内部処理 ---
+
+    /**
+     * 1人の立直者に対する危険度を計算する
+     * @param {string} code - 捨てる牌のコード
+     * @param {Object} threat - 立直者
+     * @param {Object} view - 卓上情報
+     * @param {Object<string, number>} visible - 見えている牌の枚数
+     * @param {string} depth - 読みの深さ
+     * @returns {number}
+     */
+    static _calculateDangerAgainst(code, threat, view, visible, depth) {
+        const genbutsu = this.getGenbutsu(threat, view);
+
+        // 1. 現物
+        if (genbutsu.has(code)) return DANGER.GENBUTSU;
+
+        const isDora = view.doraCodes.includes(code);
+        const { suit, value } = this._parseCode(code);
+        let danger;
+
+        // 2. 字牌と萬子 (3人麻雀の萬子は1・9のみで両面待ちがないため、字牌と同じく見えている枚数が多いほど安全)
+        if (suit === TILE_TYPE.JIHAI || suit === TILE_TYPE.MANZU) {
+            const count = depth === 'genbutsu' ? 0 : (visible[code] || 0);
+            danger = count >= 3 ? DANGER.HONOR_VISIBLE_3
+                : count === 2 ? DANGER.HONOR_VISIBLE_2
+                : DANGER.HONOR;
+            return isDora ? danger * DORA_RATE : danger;
+        }
+
+        // 3. 数牌のスジ (現物から見て両面待ちで当たらない牌)
+        danger = MUSUJI_DANGER[value];
+        if (depth !== 'genbutsu') {
+            danger = this._evaluateSuji(suit, value, genbutsu);
+        }
+
+        // 4. 壁・ワンチャンス・捨て牌の読み
+        if (depth === 'full') {
+            const chance = this._evaluateChance(suit, value, visible);
+            if (chance === 'noChance') {
+                danger = Math.min(danger, DANGER.NO_CHANCE);
+            } else if (chance === 'oneChance') {
+                danger *= ONE_CHANCE_RATE;
+            }
+            danger *= this._evaluateDiscardReads(suit, value, threat);
+        }
+
+        return isDora ? danger * DORA_RATE : danger;
+    }
+
+    /**
+     * スジによる数牌の危険度を返す
+     * @param {string} suit - 牌の種類
+     * @param {number} value - 牌の数字
+     * @param {Set<string>} genbutsu - 現物のコード
+     * @returns {number}
+     */
+    static _evaluateSuji(suit, value, genbutsu) {
+        const lower = value > 3 && genbutsu.has(`${value - 3}${suit}`);
+        const upper = value < 7 && genbutsu.has(`${value + 3}${suit}`);
+
+        // 1・2・3 は上のスジ、7・8・9 は下のスジだけで両面が消える
+        if (value <= 3) {
+            if (upper) return value === 1 ? DANGER.SUJI_TERMINAL : DANGER.SUJI;
+        } else if (value >= 7) {
+            if (lower) return value === 9 ? DANGER.SUJI_TERMINAL : DANGER.SUJI;
+        } else {
+            // 4・5・6 は両側のスジ (中スジ) で両面が消える
+            if (lower && upper) return DANGER.SUJI;
+            if (lower || upper) return DANGER.KATASUJI;
+        }
+        return MUSUJI_DANGER[value];
+    }
+
+    /**
+     * 壁による両面待ちの可能性を判定する
+     * 両面待ちの構成 (下側: value-2, value-1 / 上側: value+1, value+2) の牌が見えている枚数で判定する
+     * @param {string} suit - 牌の種類
+     * @param {number} value - 牌の数字
+     * @param {Object<string, number>} visible - 見えている牌の枚数
+     * @returns {string|null} 'noChance' (全ての両面がありえない), 'oneChance' (残り1枚の牌を含む), null
+     */
+    static _evaluateChance(suit, value, visible) {
+        const shapes = [];
+        if (value >= 3) shapes.push([value - 2, value - 1]);
+        if (value <= 7) shapes.push([value + 1, value + 2]);
+
+        const maxVisible = shapes.map(shape => Math.max(...shape.map(v => visible[`${v}${suit}`] || 0)));
+        if (maxVisible.every(count => count >= 4)) return 'noChance';
+        if (maxVisible.every(count => count >= 3)) return 'oneChance';
+        return null;
+    }
+
+    /**
+     * 立直者の河の読みによる危険度の倍率を返す
+     * - 序盤に手出しした同じ色の牌より外側 (1・9 寄り) の牌は比較的安全
+     * - 手出しの立直宣言牌のまたぎ (両隣・2つ隣) は危険
+     * @param {string} suit - 牌の種類
+     * @param {number} value - 牌の数字
+     * @param {Object} threat - 立直者
+     * @returns {number}
+     */
+    static _evaluateDiscardReads(suit, value, threat) {
+        let rate = 1;
+        const riichiKawaIndex = threat.riichiKawaIndex;
+
+        // 1. 序盤の手出し牌の外側
+        const earlyDiscards = threat.kawa.slice(0, Math.min(EARLY_DISCARD_COUNT, riichiKawaIndex));
+        const isOutside = earlyDiscards.some(k => {
+            if (k.isTsumogiri) return false;
+            const discarded = this._parseCode(k.code);
+            if (discarded.suit !== suit) return false;
+            return (value < discarded.value && discarded.value <= 5) || (value > discarded.value && discarded.value >= 5);
+        });
+        if (isOutside) rate *= EARLY_OUTSIDE_RATE;
+
+        // 2. 立直宣言牌のまたぎ
+        const declaration = threat.kawa[riichiKawaIndex];
+        if (declaration && !declaration.isTsumogiri) {
+            const declared = this._parseCode(declaration.code);
+            const distance = Math.abs(declared.value - value);
+            if (declared.suit === suit && distance >= 1 && distance <= 2) {
+                rate *= MATAGI_RATE;
+            }
+        }
+
+        return rate;
+    }
+
+    /**
+     * 牌コードを種類と数字に分ける
+     * @param {string} code - 牌コード (例: '1p', 'z1')
+     * @returns {{suit: string, value: number}}
+     */
+    static _parseCode(code) {
+        if (code[0] === TILE_TYPE.JIHAI) {
+            return { suit: TILE_TYPE.JIHAI, value: Number(code.slice(1)) };
+        }
+        return { suit: code.slice(-1), value: Number(code[0]) };
+    }
+}
@@ -0,0 +1,270 @@
+/**
+ * js/ai/Search.js
+ * 強いCPUの打牌の期待値探索 (モンテカルロ法)
+ * 見えていない牌から自分のツモ順を無作為に作って打ち進め (プレイアウト)、
+ * 打牌候補ごとに和了率・和了時の平均打点 (Scorer で卓のルールどおりに計算)・立直者への放銃率を見積もって期待値を比べる
+ * 探索は CPU の1回の判断の締め切り時刻で打ち切るため、同じシードの対局でもマシンの速さによって選ぶ牌が変わることがある
+ */
+
+import { Tile } from '../core/Tile.js';
+import { Shanten, KIND_COUNT } from '../logic/Shanten.js';
+import { Scorer } from '../logic/Scorer.js';
+import { Defense } from './Defense.js';
+import { TILE_TYPE, EXCLUDED_TILES } from '../config.js';
+
+// 1候補あたりのプレイアウト数の上限 (時間が余っても打ち切る)
+const MAX_PLAYOUTS = 500;
+
+// プレイアウトで自分がツモる回数の上限 (ツモ山は3人で引くため、残り枚数の1/3とこの値の小さい方)
+const MAX_DRAWS = 18;
+
+// 放銃の見積もり
+const DEAL_IN_RATE_PER_DANGER = 0.01; // 危険度1あたりの放銃率 (Defense.calculateDanger() の値を換算する)
+const DEAL_IN_LOSS = 7000;            // 立直者への放銃1回の失点の目安
+const PARENT_LOSS_RATE = 1.5;         // 親の立直への放銃は失点を1.5倍とする
+const THREAT_WIN_RATE = 0.1;          // 自分のツモ1回ごとに、立直者が先に和了して局が終わる確率
+
+export class Search {
+
+    /**
+     * 打牌候補ごとの期待値 (点数) を、締め切り時刻までのプレイアウトで見積もる
+     * 卓上の状況の準備も締め切りまでの時間に含める (時間が残っていなければプレイアウトは0回)
+     * @param {Player} player - 思考対象のCPUプレイヤー
+     * @param {Tile[]} hand - ツモ牌を含む14枚の手牌
+     * @param {Tile[]} candidates - 比べる打牌 (手牌の牌)
+     * @param {Object | null} view - 卓上の公開情報 (GameState.getTableView())
+     * @param {Random} rng - 乱数生成器 (探索用に分岐させるため、元の乱数列の消費は1個)
+     * @param {number} deadline - 探索を打ち切る時刻 (performance.now() の値)
+     * @param {Map<string, number>} [shantenCache] - 向聴数のキャッシュ (Shanten.calculateCached()。CPUの判断中のものを共有する)
+     * @returns {Array<{tile: Tile, winRate: number, averageValue: number, dealInRate: number, expectedValue: number, playouts: number}>} candidates と同じ順の評価
+     */
+    static evaluateDiscards(player, hand, candidates, view, rng, deadline, shantenCache = new Map()) {
+        const random = rng.fork();
+
+        // 1. 卓上の状況 (見えていない牌・ツモ回数・ドラ・放銃率)
+        const situation = this._createSituation(player, hand, view, shantenCache);
+
+        // 2. 候補ごとの打牌後の手牌
+        const results = candidates.map(tile => {
+            const nextHand = hand.filter(t => t.uniqueId !== tile.uniqueId);
+            return {
+                tile: tile,
+                hand: nextHand,
+                shanten: Shanten.calculateCached(Shanten.toCounts(nextHand), player.naki.length, shantenCache),
+                wins: 0,
+                totalValue: 0,
+                dealIns: 0,
+                playouts: 0
+            };
+        });
+
+        // 3. 時間まで、全ての候補に同じツモ順でプレイアウトを繰り返す (候補間の比較のばらつきを抑える)
+        for (let i = 0; i < MAX_PLAYOUTS && performance.now() < deadline; i++) {
+            const { draws, uraDoraIndicators } = this._createDraws(situation, random);
+            for (const result of results) {
+                const outcome = this._playout(result.hand, result.shanten, draws, uraDoraIndicators, situation, random);
+                result.playouts++;
+                if (outcome.value > 0) {
+                    result.wins++;
+                    result.totalValue += outcome.value;
+                }
+                if (outcome.dealIn) result.dealIns++;
+            }
+        }
+
+        // 4. 期待値 = (打牌が通る確率) × (和了率 × 平均打点 - その後の放銃率 × 失点) - (打牌の放銃率) × 失点
+        return results.map(result => {
+            const discardRate = situation.dealInRates[Shanten.toKindIndex(result.tile)];
+            const playouts = Math.max(result.playouts, 1);
+            const winRate = result.wins / playouts;
+            const averageValue = result.wins > 0 ? result.totalValue / result.wins : 0;
+            const laterDealInRate = result.dealIns / playouts;
+            const playoutValue = winRate * averageValue - laterDealInRate * situation.dealInLoss;
+
+            return {
+                tile: result.tile,
+                winRate: (1 - discardRate) * winRate,
+                averageValue: averageValue,
+                dealInRate: discardRate + (1 - discardRate) * laterDealInRate,
+                expectedValue: (1 - discardRate) * playoutValue - discardRate * situation.dealInLoss,
+                playouts: result.playouts
+            };
+        });
+    }
+
+    // --- 内部処理 ---
+
+    /**
+     * プレイアウトに共通する卓上の状況をまとめる
+     * @param {Player} player - 思考対象のCPUプレイヤー
+     * @param {Tile[]} hand - ツモ牌を含む手牌
+     * @param {Object | null} view - 卓上の公開情報
+     * @param {Map<string, number>} shantenCache - 向聴数のキャッシュ
+     * @returns {Object}
+     */
+    static _createSituation(player, hand, view, shantenCache) {
+        // 1. 見えていない牌 (ツモ山と他家の手牌にありうる牌。赤ドラは区別しない)
+        // Scorer は和了牌を uniqueId で探すため、1枚ずつ別の負の uniqueId を振る
+        const visible = Defense.countVisible(view, hand);
+        const unseen = [];
+        for (let index = 0; index < KIND_COUNT; index++) {
+            const code = Shanten.indexToCode(index);
+            if (EXCLUDED_TILES.includes(code)) continue;
+            for (let i = visible[code] || 0; i < 4; i++) {
+                unseen.push(this._createTile(code, -(unseen.length + 2)));
+            }
+        }
+
+        // 2. 立直者への放銃率 (牌種ごと) と放銃したときの失点
+        // 放銃率は打牌候補とプレイアウトで切りうる牌種 (手牌と見えていない牌) だけ求める
+        const threats = view ? Defense.findThreats(view) : [];
+        const dealInRates = new Array(KIND_COUNT).fill(0);
+        if (threats.length > 0) {
+            const counts = Shanten.toCounts(hand);
+            for (let index = 0; index < KIND_COUNT; index++) {
+                const code = Shanten.indexToCode(index);
+                if (counts[index] === 0 && (visible[code] || 0) >= 4) continue;
+                if (EXCLUDED_TILES.includes(code)) continue;
+                const danger = Defense.calculateDanger(code, view, hand, 'full');
+                dealInRates[index] = Math.min(1, danger * DEAL_IN_RATE_PER_DANGER);
+            }
+        }
+
+        return {
+            unseen: unseen,
+            drawCount: view ? Math.min(MAX_DRAWS, Math.floor(view.remainingTiles / 3)) : MAX_DRAWS,
+            hasThreat: threats.length > 0,
+            dealInRates: dealInRates,
+            dealInLoss: DEAL_IN_LOSS * (threats.some(t => t.isParent) ? PARENT_LOSS_RATE : 1),
+            doraIndicators: view ? view.doraIndicators.map(code => this._createTile(code)) : [],
+            context: { config: view ? view.rules : undefined }, // 点数計算のルール (Scorer の context)
+            winner: this._createWinner(player),
+            ippatsuWinner: this._createWinner(player, true),
+            shantenCache: shantenCache
+        };
+    }
+
+    /**
+     * 見えていない牌から自分のツモ順と裏ドラ表示牌を無作為に作る
+     * @param {Object} situation - 卓上の状況
+     * @param {Random} random - 乱数生成器
+     * @returns {{draws: Tile[], uraDoraIndicators: Tile[]}}
+     */
+    static _createDraws(situation, random) {
+        const pool = [...situation.unseen];
+        const count = Math.min(situation.drawCount, pool.length);
+        const total = Math.min(count + situation.doraIndicators.length, pool.length);
+
+        // 先頭から total 枚だけ Fisher-Yates で並べ替える (ツモ順の後ろを裏ドラ表示牌とする)
+        for (let i = 0; i < total; i++) {
+            const j = i + random.nextInt(pool.length - i);
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        return { draws: pool.slice(0, count), uraDoraIndicators: pool.slice(count, total) };
+    }
+
+    /**
+     * 1回のプレイアウト: ツモ順どおりに引き、向聴数が進む牌だけを取り込んで他はツモ切る
+     * 門前なら聴牌した打牌で立直したものとし、次のツモでの和了は一発、和了時は裏ドラも数える
+     * @param {Tile[]} hand - 打牌後の手牌 (13枚)
+     * @param {number} shanten - 打牌後の向聴数
+     * @param {Tile[]} draws - 自分のツモ順
+     * @param {Tile[]} uraDoraIndicators - 裏ドラ表示牌 (立直して和了した場合に使う)
+     * @param {Object} situation - 卓上の状況
+     * @param {Random} random - 乱数生成器 (放銃・立直者の和了の判定)
+     * @returns {{value: number, dealIn: boolean}} ツモ和了の打点 (和了しなければ 0) と、放銃したか
+     */
+    static _playout(hand, shanten, draws, uraDoraIndicators, situation, random) {
+        const tiles = [...hand];
+        const meldCount = situation.winner.naki.length;
+        const context = { ...situation.context, uraDoraIndicators: uraDoraIndicators };
+        let ippatsuDraw = shanten === 0 ? 0 : -1; // 一発になるツモの番号 (聴牌した次のツモ)
+
+        for (let i = 0; i < draws.length; i++) {
+            const drawn = draws[i];
+            tiles.push(drawn);
+            const counts = Shanten.toCounts(tiles);
+            const drawnShanten = Shanten.calculateCached(counts, meldCount, situation.shantenCache);
+
+            // 1. ツモ和了 (役がなければ和了らずに続ける)
+            if (drawnShanten === -1) {
+                const winner = i === ippatsuDraw ? situation.ippatsuWinner : situation.winner;
+                const value = Scorer.calculateScore(winner, drawn, false, tiles, situation.doraIndicators, context).totalScore;
+                if (value > 0) return { value: value, dealIn: false };
+            }
+
+            // 2. 向聴数が進めば最も向聴数が小さくなる牌を、進まなければツモ牌を切る
+            let discard = drawn;
+            if (drawnShanten < shanten) {
+                discard = this._chooseDiscard(tiles, counts, meldCount, situation.shantenCache);
+                shanten = Math.max(drawnShanten, 0);
+                if (shanten === 0) ippatsuDraw = i + 1;
+            }
+            tiles.splice(tiles.lastIndexOf(discard), 1);
+
+            // 3. 立直者への放銃と、立直者の和了による局の終了
+            if (situation.hasThreat) {
+                if (random.next() < situation.dealInRates[Shanten.toKindIndex(discard)]) {
+                    return { value: 0, dealIn: true };
+                }
+                if (random.next() < THREAT_WIN_RATE) break;
+            }
+        }
+
+        return { value: 0, dealIn: false };
+    }
+
+    /**
+     * 切った後の向聴数が最も小さくなる牌を選ぶ (同じなら字牌・牌種インデックスの大きい方、赤ドラは残す)
+     * @param {Tile[]} tiles - ツモ牌を含む手牌
+     * @param {number[]} counts - tiles の牌種ごとの枚数
+     * @param {number} meldCount - 副露数
+     * @param {Map<string, number>} cache - 向聴数のキャッシュ
+     * @returns {Tile}
+     */
+    static _chooseDiscard(tiles, counts, meldCount, cache) {
+        let bestIndex = -1;
+        let bestShanten = Infinity;
+        for (let index = KIND_COUNT - 1; index >= 0; index--) {
+            if (counts[index] === 0) continue;
+            counts[index]--;
+            const shanten = Shanten.calculateCached(counts, meldCount, cache);
+            counts[index]++;
+            if (shanten < bestShanten) {
+                bestShanten = shanten;
+                bestIndex = index;
+            }
+        }
+
+        const sameKind = tiles.filter(t => Shanten.toKindIndex(t) === bestIndex);
+        return sameKind.find(t => !t.isRed) || sameKind[0];
+    }
+
+    /**
+     * 打点計算に使うプレイヤー (門前なら立直して和了したものとする。ダブル立直は数えない)
+     * 元のプレイヤーを書き換えないよう、プロトタイプとして参照する
+     * @param {Player} player - 思考対象のCPUプレイヤー
+     * @param {boolean} [isIppatsu=false] - 一発で和了したものとするか (立直している場合のみ)
+     * @returns {Player}
+     */
+    static _createWinner(player, isIppatsu = false) {
+        const winner = Object.create(player);
+        winner.isRiichi = player.isRiichi || player.naki.every(meld => meld.type === 'ankan');
+        winner.isIppatsu = winner.isRiichi && isIppatsu;
+        winner.isDaburi = false;
+        return winner;
+    }
+
+    /**
+     * 牌コードから探索用の牌を作る (山に属さないため uniqueId は負の値)
+     * @param {string} code - 牌コード (例: '1p', 'z1')
+     * @param {number} [uniqueId=-1] - 通し番号
+     * @returns {Tile}
+     */
+    static _createTile(code, uniqueId = -1) {
+        if (code[0] === TILE_TYPE.JIHAI) {
+            return new Tile(TILE_TYPE.JIHAI, Number(code.slice(1)), false, uniqueId);
+        }
+        return new Tile(code.slice(-1), Number(code[0]), false, uniqueId);
+    }
+}
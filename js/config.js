@@ -11,6 +11,20 @@ export const TILE_TYPE = {
     JIHAI: 'z'
 };
 
+// 風の名前と字牌コードの対応 (東=z1, 南=z2, 西=z3, 北=z4)
+export const WIND_TILE_CODES = {
+    '東': 'z1',
+    '南': 'z2',
+    '西': 'z3',
+    '北': 'z4'
+};
+
+// 三元牌 (白, 發, 中) の牌コード
+export const DRAGON_CODES = ['z5', 'z6', 'z7'];
+
+// 北 (抜きドラ) の牌コード
+export const NORTH_CODE = 'z4';
+
 // 3人麻雀用: 使用しない牌 (萬子の2~8)
 export const EXCLUDED_TILES = [
     '2m', '3m', '4m', '5m', '6m', '7m', '8m'
@@ -37,6 +51,55 @@ export class GameConfig {
             s7: 0  // 7索の赤枚数
         };
         
+        // 北の扱い
+        // northAsYakuhai が true の場合、北は抜きドラにせず場風扱いの役牌とする
+        this.northAsYakuhai = false;
+        this.allowKitaRon = true;       // 抜いた北へのロン (北抜きの搶槓) を認めるか
+        this.kitaRinshan = true;        // 北抜き後の補充牌での和了を嶺上開花とするか
+        this.kitaBreaksIppatsu = false; // 北抜きで一発が消えるか
+
+        // 役満の設定
+        this.doubleYakuman = true;  // 国士十三面・四暗刻単騎・純正九蓮・大四喜をダブル役満とするか
+        this.kazoeYakuman = true;   // 通常役で13翻以上を数え役満とするか (false なら三倍満)
+        this.kiriageMangan = false; // 切り上げ満貫 (30符4翻・60符3翻を満貫とする) を採用するか
+
+        // カンドラをめくるタイミング
+        // 'immediate': カンの直後 / 'afterDiscard': 明槓 (大明槓・加槓) は打牌後 (暗槓は常に直後)
+        this.kanDoraTiming = 'afterDiscard';
+
+        // 3人麻雀のツモ和了の支払い方式 (不在の北家の支払い分の扱い)
+        // 'tsumoSon': ツモ損 (支払われない), 'northSplit': 北家折半 (2人で折半), 'flat': ロン和了と同じ点数を2人で支払う
+        // 積み棒の分担もこの方式による (Scorer.calculateHonbaPayments())
+        this.tsumoPaymentModel = 'tsumoSon';
+
+        // 1本場あたりの積み棒の合計点 (4人麻雀と同じ300点。3人麻雀では1000点とするルールも多い)
+        this.honbaPoints = 300;
+
+        // 荒牌流局の設定
+        this.notenBappu = 2000;         // 不聴罰符の合計 (4人麻雀の3000点に対し、3人麻雀では2000点が一般的)
+        this.revealTenpaiHands = true;  // 流局時に聴牌者の手牌を公開するか
+
+        // 途中流局の設定
+        this.kyuushuKyuuhai = true;     // 第一ツモで幺九牌が9種類以上なら流局を宣言できるか
+        this.sanchaRiichiAbort = true;  // 3人全員の立直 (4人麻雀の四家立直に相当) で流局とするか
+        this.suukaikanAbort = true;     // 複数人による4回目のカン (四槓散了) で流局とするか
+        this.doubleRonAbort = false;    // 同じ打牌に2人がロン (4人麻雀の三家和に相当) した場合に流局とするか
+
+        this.seed = null;         // 山のシャッフルに使う乱数のシード (null なら対局ごとにランダム。同じシードなら全局の山を再現できる)
+
+        this.deadWallSize = 14;   // 王牌の枚数 (嶺上牌を引くたびにツモ山から補充し、この枚数を保つ)
+
+        // CPUの強さと打ち筋 (席ごと。p0 はユーザー)
+        // level: 'beginner'(牌効率のミスをする) / 'standard' / 'strong'
+        // personality: 'balanced' / 'aggressive'(鳴き多め) / 'defensive'(守備重視) / 'valueHunter'(混一色・役牌狙い)
+        this.cpuProfiles = {
+            p1: { level: 'standard', personality: 'balanced' },
+            p2: { level: 'standard', personality: 'balanced' }
+        };
+        // 強いCPUが好形の加点と打牌の期待値探索に使う、1回の判断あたりの思考時間 (ミリ秒。0 なら受け入れ枚数だけで打牌を選ぶ)
+        // 時間で探索を打ち切るため、強いCPUがいる対局はシードを指定しても打牌が完全には再現されない
+        this.cpuSearchTime = 300;
+
         this.startScore = 35000;  // 持ち点
         this.uma = [10, -10];     // サンマのウマ (2人分)
     }
@@ -6,11 +6,31 @@
 import { GameConfig } from '../config.js';
 import { Tile } from './Tile.js';
 import { Wall } from './Wall.js';
+import { Random } from './Random.js';
+import { Scenario } from './Scenario.js';
+import { Mpsz } from './Mpsz.js';
 import { Player } from './Player.js';
+import { Shanten } from '../logic/Shanten.js';
+import { Judge } from '../logic/Judge.js';
+import { Cycler } from '../logic/Cycler.js';
+import { Cpu } from '../ai/Cpu.js';
+import { Scorer } from '../logic/Scorer.js';
 
 // 場の風と席風の定数
 const WINDS = ['東', '南', '西', '北']; // 3人麻雀では通常「北」は「北家」ではなく「抜きドラ」として扱うことが多いが、席風としては存在する
 
+// リーチ棒1本の点数
+const RIICHI_STICK_POINTS = 1000;
+
+// 流局理由ごとの表示名 (カットイン・リザルトの見出し)
+const RYUUKYOKU_LABELS = {
+    yamagire: '荒牌流局',
+    kyuushu: '九種九牌',
+    sanchaRiichi: '三家立直',
+    suukaikan: '四槓散了',
+    doubleRon: '二家和'
+};
+
 export class GameState {
     /**
      * @param {GameConfig} config - ゲーム設定
@@ -30,14 +50,36 @@ export class GameState {
         this.turnPlayer = null;        // 現在のターンプレイヤー (Playerインスタンス)
         this.discardedTile = null;     // 直前に捨てられた牌 (鳴き/ロン判定用)
         this.discardSourcePlayer = null; // 捨て牌のプレイヤー
+        this.isRinshan = false;        // 現在のツモが嶺上牌 (北抜き・カンの補充牌) かどうか
+        this.isKitaDraw = false;       // 現在のツモが北抜きの補充牌かどうか (嶺上開花とするかに関わらず海底にはならない)
+        this.isChankan = false;        // 加槓した牌へのロン (搶槓) での和了かどうか
+        this.isKitaRon = false;        // 抜いた北へのロンでの和了かどうか (槍槓はつかない)
+        this.isFirstGoAround = false;  // 鳴き・カン・北抜きの入っていない一巡目かどうか (九種九牌・天和/地和の判定用)
         
         // --- 制御フラグ ---
-        this.gamePhase = 'LOBBY';      // 現在のフェーズ ('LOBBY', 'SETUP', 'DRAW', 'DISCARD', 'CALL_PHASE', 'RESULT')
+        this.gamePhase = 'LOBBY';      // 現在のフェーズ ('LOBBY', 'SETUP', 'DRAW', 'DISCARD', 'KITA', 'KAN', 'CALL_PHASE', 'RESULT')
         this.isGameOver = false;
         this.riichiCount = 0;          // 場に供託されているリーチ棒の数
         this.doraIndicators = [];      // ドラ表示牌の配列 (Tile[])
+        this.discardLog = [];          // この局の全員の打牌を打牌順に記録したもの (CPUの読み用)
+        this.pendingKanDora = 0;       // 打牌後にめくるカンドラの枚数 (明槓のカンドラ後めくり)
+        this.pendingCallResolver = null; // ユーザーの鳴き・ロンの選択待ち (選択された行動で resolve する)
+        this.isRiichiDeclaring = false;  // 立直を宣言し、宣言牌を選んでいる最中かどうか
+        this.pendingRiichi = null;       // 宣言牌が通るのを待っている立直 ({ player, isDoubleRiichi })
+
+        // --- 乱数と牌譜 ---
+        // 山は対局全体で1つの乱数生成器を使い回すため、同じシードなら全局の山が再現される
+        // CPUの思考は局面や探索時間で使う乱数の個数が変わるため、山とは別の乱数列 (同じシードから派生) を使う
+        this.seed = config.seed ?? Random.createSeed();
+        this.rng = new Random(this.seed);
+        this.cpuRng = new Random(Random.parseSeed(`cpu:${this.seed}`));
+        this.gameRecord = { seed: this.seed, rounds: [] }; // 牌譜 (シードと各局の経過)
+        this.scenario = null;          // 次の局で使う積み込みシナリオ (Scenario.parse() の結果)
 
         this.initPlayers();
+
+        // 局・本場・親の交代の管理 (this.players と同じ配列を親の順に並べ替える)
+        this.cycler = new Cycler(config, this.players);
     }
 
     /**
@@ -53,7 +95,12 @@ export class GameState {
 
         // 席風の設定 (東家, 南家, 西家)
         this.players.forEach((p, index) => {
-            p.setWind(WINDS[index % 3]); // 東, 南, 西
+            p.setWind(WINDS[index % 3], this.baKaze); // 東, 南, 西
+        });
+
+        // CPUの強さと打ち筋 (設定のない席は標準)、期待値探索の思考時間
+        this.players.filter(p => p.isCPU).forEach(p => {
+            p.cpuProfile = { level: 'standard', personality: 'balanced', searchTime: this.config.cpuSearchTime, ...this.config.cpuProfiles[p.id] };
         });
         
         // 最初の親を設定
@@ -70,12 +117,28 @@ export class GameState {
      */
     async startGame() {
         this.gamePhase = 'SETUP';
+        this.discardLog = [];
         
-        // 1. 山の構築とシャッフル
-        this.wall = new Wall(this.config);
+        // 1. 山の構築とシャッフル (シナリオがあれば積み込み。シナリオは1局限り)
+        this.wall = new Wall(this.config, this.rng);
         this.wall.build();
-        this.wall.shuffle();
+        if (this.scenario) {
+            this.wall.stack(this.scenario, this.players.length);
+        } else {
+            this.wall.shuffle();
+            this.wall.breakWall(this.players.findIndex(p => p.isParent)); // サイコロで開門位置を決める
+        }
         this.wall.setDeadWall();
+        this.gameRecord.rounds.push({
+            baKaze: this.baKaze,
+            round: this.round,
+            honba: this.honba,
+            dice: [...this.wall.dice],
+            scenario: this.scenario ? this.scenario.name : null,
+            result: null
+        });
+        this.scenario = null;
+        console.log(`シード: ${this.seed}`);
         
         // 2. ドラ表示牌の公開
         this.doraIndicators = this.wall.getInitialDoraIndicators();
@@ -91,14 +154,68 @@ export class GameState {
             }
         }
         
+        this.isFirstGoAround = true;
+        // 牌譜には配牌を MPSZ 表記で残す (不具合報告などで手牌を共有しやすくするため)
+        this.gameRecord.rounds[this.gameRecord.rounds.length - 1].hands = this.players.map(p => Mpsz.stringify(p.hand));
+
         // 4. 初回描画
         this.renderer.renderHands(this.players);
+        this.renderer.updateTilesLeft(this.wall.remainingTiles);
         this.renderer.updateTurnIndicator(this.turnPlayer);
         
         // 5. 親のツモ（東家の初回ツモ）からゲームサイクルを開始
         await this.startPlayerTurn(this.turnPlayer);
     }
 
+    /**
+     * CPUの思考に渡す、卓上の公開情報の読み取り専用ビューを作る
+     * 他家の手牌や山の中身は含めず、河 (ツモ切り/手出し)・立直の宣言時期・副露・抜きドラ・ドラと、点数計算のルールを渡す
+     * @param {Player} viewer - 卓を見るプレイヤー (isSelf の判定に使う)
+     * @returns {Readonly<Object>} 卓上の公開情報
+     */
+    getTableView(viewer) {
+        const freezeAll = (items) => Object.freeze(items.map(item => Object.freeze(item)));
+
+        const players = this.players.map(p => Object.freeze({
+            id: p.id,
+            isSelf: p === viewer,
+            isParent: p.isParent,
+            isRiichi: p.isRiichi,
+            // 立直宣言牌が discards (全員の打牌順) と自分の河の何番目か (立直していなければ -1)
+            riichiDiscardIndex: this.discardLog.findIndex(d => d.tileId === p.riichiTileId),
+            riichiKawaIndex: p.kawa.findIndex(t => t.uniqueId === p.riichiTileId),
+            kawa: freezeAll(p.kawa.map(t => ({
+                code: t.toNormalCode(),
+                isTsumogiri: p.tsumogiriIds.has(t.uniqueId),
+                isCalled: p.calledKawaIds.has(t.uniqueId)
+            }))),
+            naki: freezeAll(p.naki.map(meld => ({ type: meld.type, codes: meld.tiles.map(t => t.toNormalCode()) }))),
+            nukiDora: p.nukiDora.length
+        }));
+
+        return Object.freeze({
+            remainingTiles: this.wall.remainingTiles,
+            doraIndicators: Object.freeze(this.doraIndicators.map(t => t.toNormalCode())),
+            doraCodes: Object.freeze(Scorer.getEffectiveDoraCodes(this.doraIndicators)),
+            rules: Object.freeze({ ...this.config }), // 点数計算のルール (Scorer の context.config として渡す)
+            discards: freezeAll(this.discardLog.map(({ playerId, code, isTsumogiri }) => ({ playerId, code, isTsumogiri }))),
+            players: Object.freeze(players)
+        });
+    }
+
+    /**
+     * 次の局の山をシナリオで積み込む (startGame の前に呼ぶ)
+     * @param {string | Object} source - シナリオの JSON (文字列またはオブジェクト)
+     * @returns {Object} 読み込んだシナリオ
+     */
+    loadScenario(source) {
+        const scenario = Scenario.parse(source);
+        Mpsz.validate([...scenario.hands.flat(), ...scenario.draws, ...scenario.wallEnd, ...scenario.deadWall], this.config.redRules);
+        this.scenario = scenario;
+        console.log(`シナリオ「${this.scenario.name}」を読み込みました。`);
+        return this.scenario;
+    }
+
     /**
      * プレイヤーのターンを開始する (ツモまたは嶺上ツモ)
      * @param {Player} player - ターンを開始するプレイヤー
@@ -106,6 +223,8 @@ export class GameState {
     async startPlayerTurn(player) {
         this.gamePhase = 'DRAW';
         this.turnPlayer = player;
+        this.isRinshan = false;
+        this.isKitaDraw = false;
         this.renderer.updateTurnIndicator(player);
         
         // 1. 牌をツモる
@@ -118,27 +237,435 @@ export class GameState {
 
         player.addTileToHand(drawnTile);
         this.renderer.renderHands(this.players); // 手牌を更新
+        this.renderer.updateTilesLeft(this.wall.remainingTiles);
 
-        // 2. ツモ和了判定 (リーチ後のツモ切り牌でもロン判定は必須)
-        // 複雑な判定は Judge.js に任せる
-        // 例: const canTsumo = Judge.canTsumo(player);
-        const canTsumo = true; // 仮の判定
-        
-        if (canTsumo) {
-            // ツモ和了の選択肢を提示
-            // 例: this.renderer.showActionButtons(['tsumo', 'discard']);
-        }
+        await this.startDiscardPhase(player);
+    }
+
+    /**
+     * ツモ後の行動選択 (ツモ和了・北抜き・打牌) を開始する
+     * 通常のツモの後だけでなく、北抜きなどの補充牌をツモった後にも呼ばれる
+     * @param {Player} player - ツモ番のプレイヤー
+     */
+    async startDiscardPhase(player) {
+        // 2. 打牌以外に選択できる行動 (ツモ和了・北抜きなど)
+        const actions = this.getSelfActions(player);
         
         // 3. 打牌待ち
         if (player.isCPU) {
             // CPUの思考ルーチン起動 (④ CPU.js)
-            // 例: const tileToDiscard = CPU.decideDiscard(player);
-            // await this.handleDiscard(player, tileToDiscard);
+            const decision = Cpu.decideTurnAction(player, actions, this.getTableView(player), this.cpuRng);
+            await this.applyCpuTurnAction(player, decision, actions);
         } else {
             // ユーザー操作待ち
             this.gamePhase = 'DISCARD';
-            this.renderer.enableDiscardInput(player);
+            if (actions.length > 0) {
+                this.renderer.showActionButtons([...actions, 'skip']);
+            }
+            // 立直後はツモ切りのみ (ツモ牌がない鳴き直後などは除く)
+            if (player.isRiichi && player.lastDrawnTile) {
+                this.renderer.enableDiscardInput(player, [player.lastDrawnTile]);
+            } else {
+                this.renderer.enableDiscardInput(player);
+            }
+        }
+    }
+
+    /**
+     * CPUが選んだツモ番の行動を実行する
+     * 選べない行動が返された場合はツモ切り (なければ手牌の先頭) で進行を止めない
+     * @param {Player} player - ツモ番のCPUプレイヤー
+     * @param {Object} decision - Cpu.decideTurnAction() の結果
+     * @param {string[]} actions - 打牌以外に選択できた行動
+     */
+    async applyCpuTurnAction(player, decision, actions) {
+        switch (decision.type) {
+            case 'tsumo':
+                if (actions.includes('tsumo')) {
+                    await this.handleAgari(player, player.lastDrawnTile, 'tsumo');
+                    return;
+                }
+                break;
+            case 'kyuushu':
+                if (actions.includes('kyuushu')) {
+                    this.renderer.revealHands([player]);
+                    await this.handleRyuuKyoku('kyuushu');
+                    return;
+                }
+                break;
+            case 'kita':
+                if (actions.includes('kita')) {
+                    await this.handleKita(player);
+                    return;
+                }
+                break;
+            case 'kan':
+                if (actions.includes(`kan:${decision.code}`)) {
+                    await this.handleSelfKan(player, decision.code);
+                    return;
+                }
+                break;
+            case 'discard':
+                if (player.hand.includes(decision.tile)) {
+                    this.isRiichiDeclaring = decision.riichi && actions.includes('riichi')
+                        && Judge.findRiichiDiscards(player).includes(decision.tile);
+                    await this.handleDiscard(player, decision.tile);
+                    return;
+                }
+                break;
+        }
+
+        console.warn(`CPUの不正な行動: ${decision.type}`, decision);
+        await this.handleDiscard(player, player.lastDrawnTile || player.hand[0]);
+    }
+
+    /**
+     * ツモ番のプレイヤーが打牌以外に選択できる行動を列挙する
+     * @param {Player} player - ツモ番のプレイヤー
+     * @returns {string[]} 行動の配列 (例: ['tsumo', 'riichi', 'kan:z1', 'kita', 'kyuushu'])
+     *                     カンは複数の候補がありうるため 'kan:牌コード' の形で列挙する
+     */
+    getSelfActions(player) {
+        const actions = [];
+
+        if (this.canTsumo(player)) {
+            actions.push('tsumo');
+        }
+
+        if (this.canRiichi(player)) {
+            actions.push('riichi');
+        }
+
+        this.findSelfKanCodes(player).forEach(code => actions.push(`kan:${code}`));
+
+        if (this.canKyuushu(player)) {
+            actions.push('kyuushu');
+        }
+
+        if (this.canKita(player)) {
+            actions.push('kita');
+        }
+
+        return actions;
+    }
+
+    /**
+     * ユーザーが選択したアクションボタンを処理する
+     * @param {string} action - 'tsumo', 'riichi', 'kita', 'kyuushu', 'ron', 'pon', 'kan', 'skip' など
+     */
+    async handlePlayerAction(action) {
+        // 他家の捨て牌 (または加槓・北抜きの牌) に対する鳴き・ロンの選択
+        if (this.pendingCallResolver) {
+            const resolve = this.pendingCallResolver;
+            this.pendingCallResolver = null;
+            resolve(action);
+            return;
+        }
+
+        const player = this.turnPlayer;
+        if (this.gamePhase !== 'DISCARD' || !player || player.isCPU) return;
+
+        // 暗槓・加槓 ('kan:牌コード')
+        if (action.startsWith('kan:')) {
+            await this.handleSelfKan(player, action.slice('kan:'.length));
+            return;
+        }
+
+        switch (action) {
+            case 'tsumo':
+                if (this.canTsumo(player)) {
+                    await this.handleAgari(player, player.lastDrawnTile, 'tsumo');
+                }
+                break;
+            case 'riichi':
+                if (this.canRiichi(player)) {
+                    // 宣言牌の選択へ (聴牌を維持できる牌のみ選択可能)
+                    this.isRiichiDeclaring = true;
+                    this.renderer.disableDiscardInput();
+                    this.renderer.enableDiscardInput(player, Judge.findRiichiDiscards(player));
+                }
+                break;
+            case 'kita':
+                await this.handleKita(player);
+                break;
+            case 'kyuushu':
+                if (this.canKyuushu(player)) {
+                    this.renderer.revealHands([player]);
+                    await this.handleRyuuKyoku('kyuushu');
+                }
+                break;
+            case 'skip':
+                // 打牌を続ける (打牌入力は有効なまま)
+                break;
+            default:
+                console.warn(`未対応のアクション: ${action}`);
+        }
+    }
+
+    /**
+     * ツモ和了が可能か判定する (和了形であり、役が1つ以上あること)
+     * @param {Player} player - ツモ番のプレイヤー
+     * @returns {boolean}
+     */
+    canTsumo(player) {
+        const agariTile = player.lastDrawnTile;
+        if (!agariTile) return false;
+
+        if (Shanten.calculate(player.hand, player.naki).shanten !== -1) return false;
+
+        const result = Scorer.calculateScore(player, agariTile, false, player.hand, this.doraIndicators, this.getAgariContext(player));
+        return result.han > 0;
+    }
+
+    /**
+     * 立直を宣言できるか判定する
+     * 門前 (暗槓は可)・持ち点1000点以上・ツモが残っている・聴牌を維持する打牌がある、の全てを満たすこと
+     * @param {Player} player - ツモ番のプレイヤー
+     * @returns {boolean}
+     */
+    canRiichi(player) {
+        if (player.isRiichi) return false;
+        if (!player.naki.every(meld => meld.type === 'ankan')) return false;
+        if (player.score < RIICHI_STICK_POINTS) return false;
+
+        // 宣言後に少なくとも1回ツモ番が回ってくること
+        if (this.wall.remainingTiles < this.players.length) return false;
+
+        return Judge.findRiichiDiscards(player).length > 0;
+    }
+
+    /**
+     * 九種九牌で流局を宣言できるか判定する
+     * 鳴き・カン・北抜きの入っていない一巡目の、自分の第一ツモでのみ宣言できる
+     * @param {Player} player - ツモ番のプレイヤー
+     * @returns {boolean}
+     */
+    canKyuushu(player) {
+        if (!this.config.kyuushuKyuuhai) return false;
+        if (!this.isFirstGoAround || player.kawa.length > 0) return false;
+
+        return Judge.isKyuushuKyuuhai(player.hand);
+    }
+
+    /**
+     * ツモ番のプレイヤーが暗槓・加槓できる牌のコードを列挙する
+     * 嶺上牌をツモれない場合と、場のカンが4回に達している場合はカンできない
+     * @param {Player} player - ツモ番のプレイヤー
+     * @returns {string[]} カンできる牌のコード
+     */
+    findSelfKanCodes(player) {
+        if (!this.wall.canDrawRinshan() || this.countKans() >= 4) return [];
+
+        return [...Judge.findAnkanCodes(player), ...Judge.findShouminkanCodes(player)];
+    }
+
+    /**
+     * 場に出ているカンの合計数を数える
+     * @returns {number}
+     */
+    countKans() {
+        return this.players.reduce((sum, p) => sum + p.naki.filter(meld => meld.tiles.length === 4).length, 0);
+    }
+
+    /**
+     * 点数計算に渡す和了時の状況を作成する
+     * @param {Player} winner - 和了者
+     * @returns {Object} Scorer.calculateScore の context
+     */
+    getAgariContext(winner) {
+        return {
+            config: this.config,
+            // 海底牌 (ツモ山の最後の牌) でのツモ、またはその打牌でのロン (嶺上牌・北抜きの補充牌・搶槓・北へのロンは除く)
+            isHaitei: this.wall.remainingTiles === 0 && !this.isRinshan && !this.isKitaDraw && !this.isChankan && !this.isKitaRon,
+            isRinshan: this.isRinshan,
+            isChankan: this.isChankan,
+            isFirstTurn: this.isFirstGoAround && winner.kawa.length === 0,
+            honba: this.honba
+        };
+    }
+
+    /**
+     * 北抜きが可能か判定する
+     * 立直中でも北抜きは可能
+     * @param {Player} player - 判定対象プレイヤー
+     * @returns {boolean}
+     */
+    canKita(player) {
+        // 北を役牌として扱うルールでは抜きドラにしない
+        if (this.config.northAsYakuhai) return false;
+
+        if (!player.findNorth()) return false;
+
+        // 補充牌をツモれない (海底) 場合は抜けない
+        return this.wall.canDrawRinshan();
+    }
+
+    /**
+     * 北抜き処理
+     * 北を抜きドラエリアに移し、抜いた北へのロンを確認してから補充牌をツモる
+     * @param {Player} player - 北を抜くプレイヤー
+     */
+    async handleKita(player) {
+        if (!this.canKita(player)) return;
+
+        const northTile = player.findNorth();
+        this.gamePhase = 'KITA';
+        this.renderer.disableDiscardInput();
+        this.renderer.hideActionButtons();
+
+        player.extractNorth(northTile);
+        this.renderer.renderHands(this.players);
+        this.renderer.updateNukiDora(player);
+        this.renderer.showCutin('北');
+
+        // 1. 北抜きは鳴きと同じく一巡目の扱い (九種九牌・天和/地和) を終わらせる
+        //    一発の扱いはルールによる (北抜きで一発が消えるか)
+        this.isFirstGoAround = false;
+        if (this.config.kitaBreaksIppatsu) {
+            this.players.forEach(p => p.isIppatsu = false);
+        }
+
+        // 2. 抜いた北へのロン判定 (北抜きの搶槓)
+        if (this.config.allowKitaRon) {
+            const winningPlayer = await this.askChankan(northTile, player, true);
+            if (winningPlayer) {
+                await this.handleAgari(winningPlayer, northTile, 'ron');
+                return;
+            }
+        }
+
+        // 3. 補充牌 (嶺上牌) をツモる
+        this.gamePhase = 'DRAW';
+        const rinshanTile = this.wall.drawRinshan();
+        if (!rinshanTile) {
+            await this.handleRyuuKyoku('yamagire');
+            return;
+        }
+
+        player.addTileToHand(rinshanTile);
+        // 北抜きの補充牌でのツモ和了を嶺上開花とするかはルールによる
+        this.isRinshan = this.config.kitaRinshan;
+        this.isKitaDraw = true;
+        this.renderer.renderHands(this.players);
+        this.renderer.updateTilesLeft(this.wall.remainingTiles);
+
+        await this.startDiscardPhase(player);
+    }
+
+    /**
+     * 暗槓・加槓の処理
+     * 加槓の場合は加えた牌へのロン (搶槓) を確認してから、嶺上牌をツモる
+     * @param {Player} player - カンするプレイヤー
+     * @param {string} code - カンする牌のコード
+     */
+    async handleSelfKan(player, code) {
+        const isShouminkan = Judge.findShouminkanCodes(player).includes(code);
+        if (!this.findSelfKanCodes(player).includes(code)) return;
+
+        this.gamePhase = 'KAN';
+        this.renderer.disableDiscardInput();
+        this.renderer.hideActionButtons();
+
+        // 直前の明槓のカンドラが未公開なら、次のカンの前にめくる
+        this.revealPendingKanDora();
+
+        // 1. 鳴きエリアにカンを追加
+        const kanTiles = player.hand.filter(t => t.toNormalCode() === code);
+        if (isShouminkan) {
+            player.addKan(kanTiles[0]);
+        } else {
+            player.declareAnkan(kanTiles);
+        }
+
+        // 2. カンが入ると一巡目の扱い (九種九牌・天和/地和) と一発が消える
+        this.isFirstGoAround = false;
+        this.players.forEach(p => p.isIppatsu = false);
+
+        this.renderer.showCutin('カン');
+        this.renderer.renderHands(this.players);
+        this.renderer.updateNaki(player);
+
+        // 3. 加槓した牌へのロン判定 (搶槓)
+        if (isShouminkan) {
+            const winningPlayer = await this.askChankan(kanTiles[0], player);
+            if (winningPlayer) {
+                await this.handleAgari(winningPlayer, kanTiles[0], 'ron');
+                return;
+            }
+        }
+
+        // 4. カンドラをめくり、補充牌 (嶺上牌) をツモる
+        this.addKanDora(!isShouminkan);
+
+        this.gamePhase = 'DRAW';
+        const rinshanTile = this.wall.drawRinshan();
+        if (!rinshanTile) {
+            await this.handleRyuuKyoku('yamagire');
+            return;
+        }
+
+        player.addTileToHand(rinshanTile);
+        this.isRinshan = true;
+        this.renderer.renderHands(this.players);
+        this.renderer.updateTilesLeft(this.wall.remainingTiles);
+
+        await this.startDiscardPhase(player);
+    }
+
+    /**
+     * カンドラを追加する
+     * 暗槓は常に直後、明槓は設定 (GameConfig.kanDoraTiming) により直後または打牌後にめくる
+     * @param {boolean} isAnkan - 暗槓かどうか
+     */
+    addKanDora(isAnkan) {
+        this.pendingKanDora++;
+        if (isAnkan || this.config.kanDoraTiming === 'immediate') {
+            this.revealPendingKanDora();
+        }
+    }
+
+    /**
+     * めくられていないカンドラを公開する
+     */
+    revealPendingKanDora() {
+        while (this.pendingKanDora > 0) {
+            this.pendingKanDora--;
+            const indicator = this.wall.getDoraIndicator(this.doraIndicators.length);
+            if (indicator) {
+                this.doraIndicators.push(indicator);
+            }
         }
+        this.renderer.updateDora(this.doraIndicators);
+    }
+
+    /**
+     * 加槓・北抜きで晒された牌へのロン (搶槓) を各プレイヤーに確認する
+     * @param {Tile} tile - 加槓した牌、または抜いた北
+     * @param {Player} sourcePlayer - カン・北抜きをしたプレイヤー
+     * @param {boolean} [isKita=false] - 抜いた北へのロンか (槍槓の役はつかない)
+     * @returns {Promise<Player|null>} ロンしたプレイヤー (いなければ null)
+     */
+    async askChankan(tile, sourcePlayer, isKita = false) {
+        // 役 (槍槓) の判定のため、確認中は搶槓として扱う (北へのロンは槍槓とせず、海底の判定からのみ除く)
+        this.isChankan = !isKita;
+        this.isKitaRon = isKita;
+        const sourceIndex = this.players.indexOf(sourcePlayer);
+
+        for (let i = 1; i < this.players.length; i++) {
+            const player = this.players[(sourceIndex + i) % this.players.length];
+            if (!this.canRon(player, tile)) continue;
+
+            const action = await this.askCall(player, tile, ['ron']);
+            if (action === 'ron') {
+                this.discardSourcePlayer = sourcePlayer;
+                return player;
+            }
+        }
+
+        this.isChankan = false;
+        this.isKitaRon = false;
+        this.applyMissedRonFuriten(tile, sourcePlayer);
+        return null;
     }
 
     /**
@@ -147,20 +674,43 @@ export class GameState {
      * @param {Tile} tile - 捨てられた牌
      */
     async handleDiscard(player, tile) {
-        player.discardTile(tile);
+        this.renderer.hideActionButtons();
+        this.isRinshan = false;
+        this.isKitaDraw = false;
+
+        const isRiichiDeclaration = this.isRiichiDeclaring;
+        this.isRiichiDeclaring = false;
+
+        // 立直後の打牌で、一発の権利はなくなる
+        if (player.isRiichi) {
+            player.isIppatsu = false;
+        }
+
+        // 1. リーチ宣言の場合の処理
+        if (isRiichiDeclaration) {
+            // 鳴きの入っていない一巡目の第一打での立直はダブル立直
+            const isDoubleRiichi = this.isFirstGoAround && player.kawa.length === 0;
+            // 供託の1000点は、宣言牌がロンされずに通った時点で支払う
+            this.pendingRiichi = { player, isDoubleRiichi };
+            this.renderer.showCutin('リーチ！');
+        }
+
+        player.discardTile(tile, isRiichiDeclaration);
+        this.discardLog.push({
+            playerId: player.id,
+            tileId: tile.uniqueId,
+            code: tile.toNormalCode(),
+            isTsumogiri: player.tsumogiriIds.has(tile.uniqueId)
+        });
         this.discardedTile = tile;
         this.discardSourcePlayer = player;
+
+        // 明槓のカンドラは打牌後にめくる (設定による)
+        this.revealPendingKanDora();
         
         this.renderer.renderHands(this.players);
         this.renderer.updateKawa(player); // 河の更新
-
-        // 1. リーチ宣言の場合の処理
-        if (player.isRiichi && player.riichiSticks === 0) {
-            // 立直宣言牌の場合、供託に1000点移動
-            player.score -= 1000;
-            this.riichiCount++;
-            this.renderer.showCutin('リーチ！');
-        }
+        this.updateFuritenIndicator();
 
         // 2. 鳴き・ロン判定フェーズへ移行
         await this.startCallPhase(tile, player);
@@ -174,27 +724,183 @@ export class GameState {
     async startCallPhase(discardedTile, sourcePlayer) {
         this.gamePhase = 'CALL_PHASE';
         
-        // 1. ロン判定
-        const ronCandidates = this.players.filter(p => p !== sourcePlayer && this.canRon(p, discardedTile));
+        // 1. 各プレイヤーが選択できるロン・鳴きを列挙し、それぞれの選択を聞く
+        // 3人麻雀ではチーは基本的にない（上家がいないため）
+        const declarations = [];
+        for (const { player, actions } of this.collectCallOptions(discardedTile, sourcePlayer)) {
+            const action = await this.askCall(player, discardedTile, actions);
+            if (actions.includes(action)) {
+                declarations.push({ player, action });
+            }
+        }
+        
+        // 2. ロン (鳴きより優先)
+        const ronCandidates = declarations.filter(d => d.action === 'ron').map(d => d.player);
         
         if (ronCandidates.length > 0) {
+            // 打牌者以外の全員がロンした場合は途中流局 (設定による)
+            if (this.config.doubleRonAbort && ronCandidates.length === this.players.length - 1) {
+                await this.handleRyuuKyoku('doubleRon');
+                return;
+            }
+
             // 優先度の高いプレイヤーから選択権を与える
-            const winningPlayer = ronCandidates[0]; // 簡易的に1人目
-            // await this.handleAgari(winningPlayer, discardedTile, 'ron');
+            const winningPlayer = ronCandidates[0]; // 簡易的に1人目 (打牌者の下家から順)
+            await this.handleAgari(winningPlayer, discardedTile, 'ron');
+            return;
+        }
+
+        // ロンがなければ、待ち牌を見逃したプレイヤーはフリテン
+        this.applyMissedRonFuriten(discardedTile, sourcePlayer);
+
+        // 立直が成立する
+        if (this.pendingRiichi) {
+            this.acceptRiichi(this.pendingRiichi);
+        }
+
+        // 立直・カンの成立による途中流局を判定
+        const abortReason = this.findAbortiveDrawReason();
+        if (abortReason) {
+            await this.handleRyuuKyoku(abortReason);
             return;
         }
         
-        // 2. 鳴き判定 (ポン・カン)
-        // 3人麻雀ではチーは基本的にない（上家がいないため）
-        
-        // 捨て牌の次のプレイヤー（下家）から順番に判定
-        // ポン・カン判定は複雑なため、ここではプレイヤーに選択肢を提示する処理を想定
-        // 例: const canPon = this.canPon(this.getNextPlayer(sourcePlayer), discardedTile);
+        // 3. 鳴き (ポン・大明槓)
+        // 同じ牌をポンできるのは1人だけなので、ポンとカンの競合は起きない
+        const call = declarations.find(d => d.action === 'pon' || d.action === 'kan');
+        if (call) {
+            await this.handleCall(call.player, call.action, discardedTile, sourcePlayer);
+            return;
+        }
         
-        // 3. 鳴きがなかった場合、次のツモへ
+        // 4. 鳴きがなかった場合、次のツモへ
+        // 親に順番が戻ったら一巡目は終わり
         this.advanceTurn();
+        if (this.turnPlayer.isParent) {
+            this.isFirstGoAround = false;
+        }
         await this.startPlayerTurn(this.turnPlayer);
     }
+
+    /**
+     * 宣言牌が通った立直を成立させる
+     * 供託に1000点を出し、一発の権利を得る (以降の鳴きやツモ切りで消える)
+     * @param {{player: Player, isDoubleRiichi: boolean}} riichi - 宣言された立直
+     */
+    acceptRiichi({ player, isDoubleRiichi }) {
+        this.pendingRiichi = null;
+
+        player.score -= RIICHI_STICK_POINTS;
+        this.riichiCount++;
+        player.isIppatsu = true;
+        player.isDaburi = isDoubleRiichi;
+
+        this.renderer.updatePlayerInfos(this.players);
+    }
+
+    /**
+     * 捨て牌に対して各プレイヤーが選択できる行動 (ロン・ポン・カン) を列挙する
+     * @param {Tile} discardedTile - 捨てられた牌
+     * @param {Player} sourcePlayer - 捨て牌のプレイヤー
+     * @returns {Array<{player: Player, actions: string[]}>} 打牌者の下家から順に、選択肢のあるプレイヤーのみ
+     */
+    collectCallOptions(discardedTile, sourcePlayer) {
+        const sourceIndex = this.players.indexOf(sourcePlayer);
+        const options = [];
+
+        for (let i = 1; i < this.players.length; i++) {
+            const player = this.players[(sourceIndex + i) % this.players.length];
+            const actions = [];
+
+            if (this.canRon(player, discardedTile)) {
+                actions.push('ron');
+            }
+
+            // 河底牌 (最後の打牌) は鳴けない
+            if (this.wall.remainingTiles > 0) {
+                if (Judge.canPon(player, discardedTile)) {
+                    actions.push('pon');
+                }
+                if (Judge.canDaiminkan(player, discardedTile) && this.wall.canDrawRinshan() && this.countKans() < 4) {
+                    actions.push('kan');
+                }
+            }
+
+            if (actions.length > 0) {
+                options.push({ player, actions });
+            }
+        }
+
+        return options;
+    }
+
+    /**
+     * 捨て牌に対する行動をプレイヤーに選択させる
+     * ユーザーにはアクションボタンを提示して選択を待ち、CPUは思考ルーチンで即座に決める
+     * @param {Player} player - 選択するプレイヤー
+     * @param {Tile} discardedTile - 捨てられた牌
+     * @param {string[]} actions - 選択できる行動
+     * @returns {Promise<string>} 選択した行動 ('ron', 'pon', 'kan', 'skip')
+     */
+    askCall(player, discardedTile, actions) {
+        if (player.isCPU) {
+            // 見送り ('pass') は選択肢にないため、宣言として扱われない
+            return Promise.resolve(Cpu.decideCall(player, discardedTile, actions, this.getTableView(player)).type);
+        }
+
+        return new Promise(resolve => {
+            this.pendingCallResolver = resolve;
+            this.renderer.showActionButtons([...actions, 'skip']);
+        });
+    }
+
+    /**
+     * ポン・大明槓の処理
+     * 鳴いたプレイヤーにターンを移し、ツモを飛ばして打牌 (カンは嶺上牌のツモ) に進む
+     * @param {Player} player - 鳴いたプレイヤー
+     * @param {string} action - 'pon' or 'kan'
+     * @param {Tile} calledTile - 鳴いた牌
+     * @param {Player} sourcePlayer - 捨て牌のプレイヤー
+     */
+    async handleCall(player, action, calledTile, sourcePlayer) {
+        this.renderer.hideActionButtons();
+
+        // 1. 手牌から同じ牌を2枚 (カンは3枚) 取り出して鳴き面子を作る
+        const isKan = (action === 'kan');
+        const tilesUsed = player.hand.filter(t => t.isSameKind(calledTile)).slice(0, isKan ? 3 : 2);
+        player.callMeld(isKan ? 'daiminkan' : 'pon', tilesUsed, calledTile, sourcePlayer.id);
+        sourcePlayer.markCalled(calledTile);
+
+        // 2. 鳴きが入ると一巡目の扱い (九種九牌・天和/地和) と一発が消える
+        this.isFirstGoAround = false;
+        this.players.forEach(p => p.isIppatsu = false);
+
+        this.renderer.showCutin(isKan ? 'カン' : 'ポン');
+        this.renderer.renderHands(this.players);
+        this.renderer.updateNaki(player);
+        this.renderer.updateKawa(sourcePlayer);
+
+        // 3. 鳴いたプレイヤーにターンを移す (通常のツモは行わない)
+        this.turnIndex = this.players.indexOf(player);
+        this.turnPlayer = player;
+        this.renderer.updateTurnIndicator(player);
+
+        // 4. 大明槓は嶺上牌をツモる
+        if (isKan) {
+            this.addKanDora(false);
+            const rinshanTile = this.wall.drawRinshan();
+            if (!rinshanTile) {
+                await this.handleRyuuKyoku('yamagire');
+                return;
+            }
+            player.addTileToHand(rinshanTile);
+            this.isRinshan = true;
+            this.renderer.renderHands(this.players);
+            this.renderer.updateTilesLeft(this.wall.remainingTiles);
+        }
+
+        await this.startDiscardPhase(player);
+    }
     
     /**
      * プレイヤーがロン可能か判定する (Judge.jsに委譲するべきだが、骨格として)
@@ -203,8 +909,46 @@ export class GameState {
      * @returns {boolean}
      */
     canRon(player, tile) {
-        // (省略) フリテン、役あり、形テンなどの複雑な判定が必要
-        return false;
+        // 1. フリテン (捨て牌・同巡内・立直後の見逃し) ならロンできない
+        if (Judge.isFuriten(player)) return false;
+
+        // 2. 和了形になるか
+        if (!Judge.isWaitingTile(player, tile)) return false;
+
+        // 3. 役があるか
+        const finalHand = [...player.hand, tile];
+        const result = Scorer.calculateScore(player, tile, true, finalHand, this.doraIndicators, this.getAgariContext(player));
+        return result.han > 0;
+    }
+
+    /**
+     * ロンできる牌を見逃したプレイヤーをフリテンにする
+     * 立直していなければ次の自分の打牌まで (同巡内フリテン)、立直していれば以降ずっとフリテンになる
+     * @param {Tile} tile - 見逃された牌 (捨て牌・加槓の牌・抜いた北)
+     * @param {Player} sourcePlayer - 牌を出したプレイヤー
+     */
+    applyMissedRonFuriten(tile, sourcePlayer) {
+        this.players.forEach(p => {
+            if (p === sourcePlayer || !Judge.isWaitingTile(p, tile)) return;
+
+            if (p.isRiichi) {
+                p.isFuriten = true;
+            } else {
+                p.isTemporaryFuriten = true;
+            }
+        });
+
+        this.updateFuritenIndicator();
+    }
+
+    /**
+     * ユーザーのフリテン表示を更新する
+     */
+    updateFuritenIndicator() {
+        const human = this.players.find(p => !p.isCPU);
+        if (human) {
+            this.renderer.updateFuriten(Judge.isFuriten(human));
+        }
     }
 
     /**
@@ -215,33 +959,178 @@ export class GameState {
      */
     async handleAgari(winner, tile, type) {
         this.gamePhase = 'RESULT';
+        this.renderer.disableDiscardInput();
+        this.renderer.hideActionButtons();
         this.renderer.showCutin(type === 'tsumo' ? 'ツモ！' : 'ロン！');
+
+        const isRon = (type === 'ron');
+        this.pendingRiichi = null; // 宣言牌でのロンは立直不成立 (供託なし)
         
-        // 1. 役の判定と点数計算 (③ Judge.js, Scorer.js にて行う)
-        // 例: const result = Scorer.calculate(winner, tile, type, this.doraIndicators);
+        // 1. 役の判定と点数計算 (ツモの場合は和了牌が既に手牌に含まれている)
+        // 立直者の和了では、公開されているドラ表示牌と同じ枚数の裏ドラをめくる
+        const uraDoraIndicators = winner.isRiichi ? this.wall.getUraDoraIndicators(this.doraIndicators.length) : [];
+        const finalHand = isRon ? [...winner.hand, tile] : [...winner.hand];
+        const result = Scorer.calculateScore(winner, tile, isRon, finalHand, this.doraIndicators,
+            { ...this.getAgariContext(winner), uraDoraIndicators });
         
-        // 2. 点数移動
-        // 3. 供託の回収
-        // 4. 次局への準備 (連荘/流局処理)
+        // 2. 点数移動 (積み棒を含む)
+        const scoreDeltas = this.calculateAgariDeltas(winner, isRon, result.payments);
+
+        // 3. 供託の回収 (場に出ているリーチ棒は全て和了者のもの)
+        const depositBonus = this.riichiCount * RIICHI_STICK_POINTS;
+        scoreDeltas[winner.id] += depositBonus;
+        this.riichiCount = 0;
+
+        this.players.forEach(p => p.score += scoreDeltas[p.id]);
+        this.isChankan = false;
+        this.isKitaRon = false;
+        this.recordRoundResult({ type: type, winner: winner.id, han: result.han, fu: result.fu, deltas: scoreDeltas });
+
+        this.renderer.updatePlayerInfos(this.players);
+        this.renderer.updateScoreMove(this.players, scoreDeltas);
+        this.renderer.showResultModal({
+            ...result,
+            winner: winner,
+            score: result.totalScore,
+            depositBonus: depositBonus,
+            uraDoraIndicators: uraDoraIndicators
+        });
         
-        // (省略)
-        await this.advanceRound(winner.isParent);
+        // 4. 次局への準備 (親の和了は連荘)
+        await this.advanceRound(winner.isParent, false);
+    }
+
+    /**
+     * 和了時の各プレイヤーの点数の増減を計算する
+     * @param {Player} winner - 和了者
+     * @param {boolean} isRon - ロン和了かどうか
+     * @param {{ron?: number, parent?: number, child?: number}} payments - Scorer が計算した立場ごとの支払額 (積み棒を含む)
+     * @returns {Object<string, number>} プレイヤーIDごとの点数の増減
+     */
+    calculateAgariDeltas(winner, isRon, payments) {
+        const deltas = {};
+        this.players.forEach(p => deltas[p.id] = 0);
+
+        // 1. 支払う人を決める (ロンは放銃者のみ、ツモは和了者以外の2人)
+        const payers = isRon
+            ? [this.discardSourcePlayer]
+            : this.players.filter(p => p !== winner);
+
+        // 2. 立場 (放銃者 / 親 / 子) に応じた額を和了者へ移す
+        payers.forEach(payer => {
+            const amount = isRon
+                ? payments.ron
+                : (payer.isParent ? payments.parent : payments.child);
+            deltas[payer.id] -= amount;
+            deltas[winner.id] += amount;
+        });
+
+        return deltas;
+    }
+
+    /**
+     * 打牌が通った時点で成立する途中流局の理由を返す
+     * - 三家立直: 3人全員の立直 (宣言牌が通った時点で成立)
+     * - 四槓散了: 2人以上による合計4回のカン (1人で4回なら四槓子の可能性があるため続行)
+     * @returns {string|null} 流局理由 ('sanchaRiichi', 'suukaikan')、なければ null
+     */
+    findAbortiveDrawReason() {
+        if (this.config.sanchaRiichiAbort && this.players.every(p => p.isRiichi)) {
+            return 'sanchaRiichi';
+        }
+
+        if (this.config.suukaikanAbort) {
+            const kanCounts = this.players.map(p => p.naki.filter(meld => meld.tiles.length === 4).length);
+            const totalKans = this.countKans();
+            if (totalKans >= 4 && !kanCounts.includes(totalKans)) {
+                return 'suukaikan';
+            }
+        }
+
+        return null;
     }
 
     /**
      * 流局処理
-     * @param {string} reason - 流局理由 ('yamagire', 'kyuushu', 'suufong')
+     * @param {string} reason - 流局理由 ('yamagire', 'kyuushu', 'sanchaRiichi', 'suukaikan', 'doubleRon')
      */
     async handleRyuuKyoku(reason) {
         this.gamePhase = 'RESULT';
-        this.renderer.showCutin('流局');
+        this.renderer.disableDiscardInput();
+        this.renderer.hideActionButtons();
+
+        const title = RYUUKYOKU_LABELS[reason] || '流局';
+        this.renderer.showCutin(title);
+
+        // 途中流局は精算なしで親の連荘 (本場は積む、供託は場に残す)
+        if (reason !== 'yamagire') {
+            this.recordRoundResult({ type: 'ryuukyoku', reason: reason, deltas: {} });
+            this.renderer.updateScoreMove(this.players, {});
+            this.renderer.showRyuukyokuModal({ title: title, players: this.players, tenpaiPlayers: null });
+            await this.advanceRound(false, true); // 親の聴牌と同じく連荘として扱う
+            return;
+        }
+
+        // 1. 聴牌/不聴の判定 (聴牌者は設定により手牌を公開する)
+        const tenpaiPlayers = this.players.filter(p => Judge.isTenpai(p.hand, p.naki));
+        if (this.config.revealTenpaiHands) {
+            this.renderer.revealHands(tenpaiPlayers);
+        }
 
-        // 1. 聴牌/不聴の判定
         // 2. 点数移動 (不聴罰符の精算)
-        // 3. 次局への準備 (連荘/流局処理)
-        
-        // (省略)
-        await this.advanceRound(false); // 流局時は連荘条件を満たさないと親は流れる
+        // 供託のリーチ棒は場に残し、次に和了した人が回収する
+        const scoreDeltas = this.calculateNotenDeltas(tenpaiPlayers);
+        this.players.forEach(p => p.score += scoreDeltas[p.id]);
+        this.recordRoundResult({ type: 'ryuukyoku', reason: reason, deltas: scoreDeltas });
+
+        this.renderer.updatePlayerInfos(this.players);
+        this.renderer.updateScoreMove(this.players, scoreDeltas);
+        this.renderer.showRyuukyokuModal({
+            title: title,
+            players: this.players,
+            tenpaiPlayers: tenpaiPlayers
+        });
+
+        // 3. 次局への準備 (親が聴牌していれば連荘)
+        const parent = this.players.find(p => p.isParent);
+        await this.advanceRound(false, tenpaiPlayers.includes(parent));
+    }
+
+    /**
+     * 荒牌流局時の不聴罰符による点数の増減を計算する
+     * 罰符の合計 (GameConfig.notenBappu) を、聴牌者は人数で割って受け取り、不聴者は人数で割って支払う
+     * (3人麻雀で合計2000点なら、1人聴牌: +2000 / -1000 × 2、2人聴牌: +1000 × 2 / -2000)
+     * @param {Player[]} tenpaiPlayers - 聴牌しているプレイヤー
+     * @returns {Object<string, number>} プレイヤーIDごとの点数の増減
+     */
+    calculateNotenDeltas(tenpaiPlayers) {
+        const deltas = {};
+        this.players.forEach(p => deltas[p.id] = 0);
+
+        // 全員聴牌・全員不聴の場合は精算なし
+        const tenpaiCount = tenpaiPlayers.length;
+        const notenCount = this.players.length - tenpaiCount;
+        if (tenpaiCount === 0 || notenCount === 0) return deltas;
+
+        const total = this.config.notenBappu;
+        this.players.forEach(p => {
+            deltas[p.id] = tenpaiPlayers.includes(p)
+                ? total / tenpaiCount
+                : -total / notenCount;
+        });
+
+        return deltas;
+    }
+
+    /**
+     * 牌譜の現在の局に結果を記録する
+     * @param {Object} result - 局の結果 ({ type: 'tsumo'|'ron'|'ryuukyoku', winner?, reason?, deltas })
+     */
+    recordRoundResult(result) {
+        const current = this.gameRecord.rounds[this.gameRecord.rounds.length - 1];
+        if (current) {
+            current.result = result;
+        }
     }
 
     /**
@@ -253,45 +1142,52 @@ export class GameState {
     }
     
     /**
-     * 次の局へ進める
-     * @param {boolean} isParentRenchan - 親が連荘するかどうか
+     * 次の局へ進める (連荘・親流れ・終局の判定は Cycler に委ねる)
+     * 本場と供託のリーチ棒は次の局に持ち越す。次の局はリザルトの「次へ」で startNextRound() から始める
+     * @param {boolean} isParentAgari - 親が和了したかどうか
+     * @param {boolean} isParentTenpai - 親が流局時に聴牌していたかどうか
      */
-    async advanceRound(isParentRenchan) {
-        
-        // 1. 親が連荘する場合
-        if (isParentRenchan) {
-            this.honba++;
-            console.log(`連荘。東${this.round}局 ${this.honba}本場`);
-        } else {
-            // 2. 親が流れる場合 (ツモ番のインデックスをずらす)
-            this.honba = 0;
-            this.round++;
-            
-            // プレイヤー配列の順序をローテーションさせる (親変更)
-            const oldParent = this.players.shift();
-            oldParent.isParent = false;
-            this.players.push(oldParent);
-            this.players[0].isParent = true; // 新しい親
-            
-            // 席風も更新 (東南西をプレイヤーに再設定)
-            this.players.forEach((p, index) => p.setWind(WINDS[index % 3]));
-            
-            // 場風の更新 (東場→南場など)
-            if (this.round > 4) { // 東4局が終わったら場風を南へ
-                 this.baKaze = '南';
-                 this.round = 1;
-            }
-        }
-        
-        // 終局判定
-        if (this.baKaze === '南' && this.round > 4 && this.config.length === 'south') {
+    async advanceRound(isParentAgari, isParentTenpai) {
+        // 1. 連荘/親流れ (親流れの場合、Cycler がプレイヤー配列を並べ替えて席風を更新する)
+        const { isGameOver } = this.cycler.handleRoundEnd(isParentAgari, isParentTenpai);
+        this.round = this.cycler.currentRound;
+        this.honba = this.cycler.currentHonba;
+        this.baKaze = this.cycler.currentBaKaze;
+
+        // 2. 終局判定
+        if (isGameOver) {
             this.isGameOver = true;
-            // this.renderer.showGameOver(this.players);
+            console.log('終局');
             return;
         }
 
-        // 次の局の初期化 (startGameを呼び出す代わりに、resetRoundメソッドを使うべき)
-        // await this.resetRound();
         console.log(`次の局へ: ${this.baKaze}${this.round}局 ${this.honba}本場`);
     }
+
+    /**
+     * 次の局を開始する (advanceRound() の後、リザルトの「次へ」で呼ぶ)
+     * 局ごとの状態を初期化し、親 (プレイヤー配列の先頭) のツモから始める
+     */
+    async startNextRound() {
+        if (this.isGameOver || this.gamePhase !== 'RESULT') return;
+
+        // 1. 局ごとの状態の初期化
+        this.players.forEach(p => p.resetForRound());
+        this.turnIndex = 0;
+        this.turnPlayer = this.players[0];
+        this.discardedTile = null;
+        this.discardSourcePlayer = null;
+        this.isRinshan = false;
+        this.isKitaDraw = false;
+        this.isChankan = false;
+        this.isKitaRon = false;
+        this.pendingKanDora = 0;
+        this.pendingCallResolver = null;
+        this.isRiichiDeclaring = false;
+        this.pendingRiichi = null;
+
+        // 2. 山の構築から開始
+        this.renderer.updatePlayerInfos(this.players);
+        await this.startGame();
+    }
 }
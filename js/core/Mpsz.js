@@ -0,0 +1,220 @@
+/**
+ * js/core/Mpsz.js
+ * MPSZ 表記 (例: '19m123456789p0s1234567z') と牌の相互変換
+ * 数字を並べた後に種類 (m, p, s, z) を書く一般的な表記。字牌は 1z=東 〜 7z=中、赤5は 0 (例: 0p = 赤5筒)
+ * 鳴いた面子は角括弧で書く: [777z] = ポン, [5555p] = 明槓 (大明槓・加槓), 暗槓は丸括弧で (1111s)
+ */
+
+import { Tile } from './Tile.js';
+import { GameConfig, TILE_TYPE, EXCLUDED_TILES } from '../config.js';
+
+const SUIT_LETTERS = [TILE_TYPE.MANZU, TILE_TYPE.PINZU, TILE_TYPE.SOUZU, TILE_TYPE.JIHAI];
+
+// 同じ牌の最大枚数
+const MAX_COPIES = 4;
+
+// 和了形の枚数 (副露した面子は3枚と数える)
+const HAND_SIZES = [13, 14];
+
+// 赤ドラの枚数の既定 (GameConfig の既定値)
+const DEFAULT_RED_RULES = new GameConfig().redRules;
+
+export class Mpsz {
+
+    /**
+     * MPSZ 表記の文字列を牌の配列に変換する (括弧の面子は書けない)
+     * 生成した牌は山に属さないため、uniqueId は -1 となる
+     * @param {string} text - MPSZ 表記の文字列 (空白は無視)
+     * @returns {Tile[]} 表記順の牌の配列
+     */
+    static parse(text) {
+        const tiles = [];
+        let digits = [];
+
+        for (const char of text.replace(/\s+/g, '')) {
+            // 1. 数字は種類の文字が来るまで溜めておく
+            if (/[0-9]/.test(char)) {
+                digits.push(Number(char));
+                continue;
+            }
+
+            // 2. 種類の文字で、溜めた数字を牌にする
+            if (!SUIT_LETTERS.includes(char)) {
+                throw new Error(`MPSZ表記の解析エラー: 不明な文字 '${char}' があります。(${text})`);
+            }
+            if (digits.length === 0) {
+                throw new Error(`MPSZ表記の解析エラー: '${char}' の前に数字がありません。(${text})`);
+            }
+            for (const digit of digits) {
+                tiles.push(this._createTile(char, digit));
+            }
+            digits = [];
+        }
+
+        if (digits.length > 0) {
+            throw new Error(`MPSZ表記の解析エラー: 末尾の数字に種類 (m, p, s, z) がありません。(${text})`);
+        }
+
+        return tiles;
+    }
+
+    /**
+     * 鳴きを含む手牌の MPSZ 表記を解析し、枚数や3人麻雀で使えない牌がないかを検証する
+     * @param {string} text - MPSZ 表記の手牌 (例: '123p456s11z[777z](1111s)')
+     * @param {Object} [redRules] - 赤ドラの枚数 (GameConfig.redRules。省略時は既定の設定)
+     * @returns {{hand: Tile[], naki: Array<{type: string, tiles: Tile[]}>}} 手牌と鳴いた面子 (Player.naki と同じ type)
+     */
+    static parseHand(text, redRules = DEFAULT_RED_RULES) {
+        const naki = [];
+
+        // 1. 括弧の面子を取り出す
+        const concealed = text.replace(/\[([^\]]*)\]|\(([^)]*)\)/g, (match, open, closed) => {
+            const isAnkan = (closed !== undefined);
+            const tiles = this.parse(isAnkan ? closed : open);
+            naki.push({ type: this._getMeldType(tiles, isAnkan, match), tiles: tiles });
+            return '';
+        });
+        if (/[[\]()]/.test(concealed)) {
+            throw new Error(`MPSZ表記の解析エラー: 括弧が閉じていません。(${text})`);
+        }
+
+        // 2. 残りを手牌として解析
+        const hand = this.parse(concealed);
+
+        // 3. 枚数の検証 (カンは3枚と数える)
+        const size = hand.length + naki.length * 3;
+        if (!HAND_SIZES.includes(size)) {
+            throw new Error(`手牌の枚数エラー: 手牌は${HAND_SIZES.join('枚か')}枚です。(${size}枚: ${text})`);
+        }
+        this.validate([...hand, ...naki.flatMap(meld => meld.tiles)], redRules);
+
+        return { hand, naki };
+    }
+
+    /**
+     * 牌の組み合わせが3人麻雀の牌山から作れるかを検証する
+     * 同じ牌が5枚以上ある場合、使わない牌 (萬子の2〜8) がある場合、赤ドラが設定の枚数を超える場合はエラー
+     * @param {Tile[]} tiles - 検証する牌
+     * @param {Object} [redRules] - 赤ドラの枚数 (GameConfig.redRules。省略時は既定の設定)
+     */
+    static validate(tiles, redRules = DEFAULT_RED_RULES) {
+        const counts = {};
+        const redCounts = {};
+        for (const tile of tiles) {
+            const code = tile.toNormalCode();
+            if (EXCLUDED_TILES.includes(code)) {
+                throw new Error(`牌の検証エラー: ${this.toCode(tile)} は3人麻雀では使いません。`);
+            }
+            counts[code] = (counts[code] || 0) + 1;
+            if (counts[code] > MAX_COPIES) {
+                throw new Error(`牌の検証エラー: ${this.toCode(tile)} が${MAX_COPIES}枚を超えています。`);
+            }
+
+            // 赤ドラは設定 (例: p5 = 赤5筒の枚数) の枚数まで
+            if (tile.isRed) {
+                const key = `${tile.type}${tile.value}`;
+                const allowed = redRules[key] ?? DEFAULT_RED_RULES[key] ?? 0;
+                redCounts[key] = (redCounts[key] || 0) + 1;
+                if (redCounts[key] > allowed) {
+                    throw new Error(`牌の検証エラー: 赤${tile.value}${tile.type} は現在のルールでは${allowed}枚までです。(${redCounts[key]}枚)`);
+                }
+            }
+        }
+    }
+
+    /**
+     * 牌の配列を MPSZ 表記の文字列に変換する
+     * @param {Tile[]} tiles - 牌の配列
+     * @param {boolean} [sort=true] - 理牌してから変換するか (false なら並び順のまま、種類が変わるごとに区切る)
+     * @returns {string} 例: '19m123456789p0s1234567z'
+     */
+    static stringify(tiles, sort = true) {
+        const ordered = sort ? [...tiles].sort((a, b) => this._compare(a, b)) : tiles;
+
+        let text = '';
+        let digits = '';
+        let suit = null;
+        for (const tile of ordered) {
+            if (tile.type !== suit && digits) {
+                text += digits + suit;
+                digits = '';
+            }
+            suit = tile.type;
+            digits += this.toCode(tile)[0];
+        }
+        if (digits) {
+            text += digits + suit;
+        }
+        return text;
+    }
+
+    /**
+     * 手牌と鳴いた面子を MPSZ 表記の文字列に変換する (parseHand の逆)
+     * @param {Tile[]} hand - 手牌
+     * @param {Array<Object>} [naki=[]] - 鳴いた面子 (Player.naki)
+     * @returns {string} 例: '123p456s11z[777z](1111s)'
+     */
+    static stringifyHand(hand, naki = []) {
+        const melds = naki.map(meld => {
+            const tiles = this.stringify(meld.tiles);
+            return meld.type === 'ankan' ? `(${tiles})` : `[${tiles}]`;
+        });
+        return this.stringify(hand) + melds.join('');
+    }
+
+    /**
+     * 牌1枚の MPSZ 表記を返す
+     * @param {Tile} tile - 対象の牌
+     * @returns {string} 例: '1m', '0p' (赤5筒), '1z' (東)
+     */
+    static toCode(tile) {
+        return `${tile.isRed ? 0 : tile.value}${tile.type}`;
+    }
+
+    // --- 内部処理 ---
+
+    /**
+     * 数字と種類から牌を生成する
+     * @param {string} type - 牌の種類 ('m', 'p', 's', 'z')
+     * @param {number} digit - 表記の数字 (0 は赤5)
+     * @returns {Tile}
+     */
+    static _createTile(type, digit) {
+        if (type === TILE_TYPE.JIHAI && (digit === 0 || digit > 7)) {
+            throw new Error(`MPSZ表記の解析エラー: 字牌は 1z〜7z です。(${digit}z)`);
+        }
+        const isRed = (digit === 0);
+        return new Tile(type, isRed ? 5 : digit, isRed, -1);
+    }
+
+    /**
+     * 括弧で書かれた面子の種類を判定する
+     * @param {Tile[]} tiles - 面子の牌
+     * @param {boolean} isAnkan - 丸括弧 (暗槓) かどうか
+     * @param {string} source - エラー表示用の元の表記
+     * @returns {string} 'pon', 'daiminkan', 'ankan'
+     */
+    static _getMeldType(tiles, isAnkan, source) {
+        const isSameKind = tiles.length > 0 && tiles.every(tile => tile.isSameKind(tiles[0]));
+        if (isSameKind && tiles.length === 4) {
+            return isAnkan ? 'ankan' : 'daiminkan';
+        }
+        if (isSameKind && tiles.length === 3 && !isAnkan) {
+            return 'pon';
+        }
+        throw new Error(`MPSZ表記の解析エラー: 鳴いた面子はポン [3枚] か カン [4枚] / (4枚) で書きます。(${source})`);
+    }
+
+    /**
+     * 理牌の順 (萬子 → 筒子 → 索子 → 字牌、数字順。赤5は通常の5の後) に比較する
+     * @param {Tile} a
+     * @param {Tile} b
+     * @returns {number}
+     */
+    static _compare(a, b) {
+        const suitDiff = SUIT_LETTERS.indexOf(a.type) - SUIT_LETTERS.indexOf(b.type);
+        if (suitDiff !== 0) return suitDiff;
+        if (a.value !== b.value) return a.value - b.value;
+        return Number(a.isRed) - Number(b.isRed);
+    }
+}
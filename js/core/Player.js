@@ -3,6 +3,8 @@
  * プレイヤー個々の状態を管理するクラス
  */
 
+import { NORTH_CODE } from '../config.js';
+
 export class Player {
     /**
      * @param {string} id - プレイヤーの一意なID (例: 'p1', 'p2', 'p3')
@@ -13,6 +15,7 @@ export class Player {
         this.id = id;
         this.name = name;
         this.isCPU = name.startsWith('CPU'); // CPUかどうかの簡易判定
+        this.cpuProfile = null;    // CPUの強さと打ち筋 ({ level, personality }。GameConfig.cpuProfiles から設定)
         
         // --- ① 点数・ステータス管理 ---
         this.score = startingScore;
@@ -22,6 +25,7 @@ export class Player {
         this.isParent = false;     // 親かどうか
         this.seatWind = '';        // 自分の席風 (東南西北)
         this.roundWind = '';       // 場の風 (東南)
+        this.isIppatsu = false;    // 一発の権利があるかどうか
         this.isTsumo = false;      // ツモ和了かどうか
         this.isRon = false;        // ロン和了かどうか
         
@@ -30,14 +34,22 @@ export class Player {
         this.hand = [];            // 手牌 (ツモ牌含む、13枚 or 14枚)
         /** @type {Tile[]} */
         this.kawa = [];            // 河（捨て牌の履歴）
+        /** @type {Set<number>} */
+        this.calledKawaIds = new Set(); // 河の牌のうち他家に鳴かれた牌のID (表示用)
+        /** @type {Set<number>} */
+        this.tsumogiriIds = new Set();  // 河の牌のうちツモ切りした牌のID (CPUの読み用。それ以外は手出し)
+        this.riichiTileId = null;  // 立直宣言牌のID (河で横向きに表示する)
         /** @type {Array<Object>} */
         this.naki = [];            // 鳴き（ポン、カン、チー）の履歴
+        /** @type {Tile[]} */
+        this.nukiDora = [];        // 抜きドラ (北抜きで抜いた北)
         this.lastDrawnTile = null; // 最後にツモった牌
         
         // --- ③ フリテン判定用 ---
         /** @type {string[]} */
         this.discardCodes = [];    // 河に捨てた牌のコード (フリテン判定用)
-        this.isFuriten = false;    // 常にフリテン状態かどうか (ロン和了できない状態)
+        this.isFuriten = false;    // 常にフリテン状態かどうか (立直後の見逃しなど、ロン和了できない状態)
+        this.isTemporaryFuriten = false; // 同巡内フリテンかどうか (ロンの見逃し後、次の自分の打牌まで)
     }
 
     /**
@@ -78,17 +90,22 @@ export class Player {
             return false;
         }
 
-        // 1. 手牌から削除
+        // 1. 手牌から削除 (自分の打牌で同巡内フリテンは解消)
         this.hand.splice(index, 1);
+        this.isTemporaryFuriten = false;
         
-        // 2. 河に追加
+        // 2. 河に追加 (ツモ牌をそのまま切ったらツモ切り)
         this.kawa.push(tileToDiscard);
+        if (this.lastDrawnTile && this.lastDrawnTile.uniqueId === tileToDiscard.uniqueId) {
+            this.tsumogiriIds.add(tileToDiscard.uniqueId);
+        }
         this.discardCodes.push(tileToDiscard.toNormalCode()); // フリテン判定用にコードを保存
 
         // 3. 立直判定
         if (isRiichiDiscard) {
             this.isRiichi = true;
             this.riichiSticks = 1;
+            this.riichiTileId = tileToDiscard.uniqueId;
             // ダブルリーチ判定はこの直前のツモ時または立直宣言時に行う
         }
 
@@ -100,7 +117,7 @@ export class Player {
 
     /**
      * 鳴き（ポン、カン）の牌を手牌から切り出し、鳴きエリアに追加する
-     * @param {string} type - 鳴きの種類 ('pon', 'kan', 'chi')
+     * @param {string} type - 鳴きの種類 ('pon', 'daiminkan', 'chi')
      * @param {Tile[]} tilesUsed - 鳴きに使用した手牌の牌 (ポンなら2枚、チーなら2枚、カンなら3枚)
      * @param {Tile} calledTile - 相手から鳴いた牌
      * @param {string} fromPlayerId - 鳴き牌を提供したプレイヤーのID
@@ -129,6 +146,91 @@ export class Player {
         // 外部の GameState や Renderer がこの鳴きを検知し、河の牌を「鳴かれ済み」にマークする処理が必要
     }
 
+    /**
+     * 暗槓 (手牌の4枚でのカン) を鳴きエリアに追加する
+     * 補充牌 (嶺上牌) のツモは GameState 側で行う
+     * @param {Tile[]} tiles - カンする同じ種類の4枚
+     */
+    declareAnkan(tiles) {
+        this.hand = this.hand.filter(t => !tiles.some(k => k.uniqueId === t.uniqueId));
+
+        this.naki.push({
+            type: 'ankan',
+            tiles: [...tiles],
+            calledFrom: null, // 他家から鳴いた牌はない
+            calledTile: null
+        });
+
+        this.lastDrawnTile = null;
+    }
+
+    /**
+     * 加槓 (ポンした面子に手牌の1枚を加えるカン)
+     * @param {Tile} tile - 加える牌
+     * @returns {boolean} 成功/失敗
+     */
+    addKan(tile) {
+        const meld = this.naki.find(m => m.type === 'pon' && m.tiles[0].isSameKind(tile));
+        const index = this.hand.findIndex(t => t.uniqueId === tile.uniqueId);
+
+        if (!meld || index === -1) {
+            console.error('加槓エラー: 対応するポンまたは牌がありません。', tile);
+            return false;
+        }
+
+        // 1. 手牌から削除し、ポンの面子に加える
+        this.hand.splice(index, 1);
+        meld.type = 'shouminkan';
+        meld.tiles.push(tile);
+        meld.addedTile = tile;
+
+        // 2. ツモ牌のクリア (補充牌を引くまでツモ牌はない)
+        this.lastDrawnTile = null;
+
+        return true;
+    }
+
+    /**
+     * 河の牌を「鳴かれた牌」としてマークする
+     * 牌は河に残したまま (捨て牌の順序やフリテン判定のため)、表示のみを変える
+     * @param {Tile} tile - 他家に鳴かれた牌
+     */
+    markCalled(tile) {
+        this.calledKawaIds.add(tile.uniqueId);
+    }
+
+    /**
+     * 手牌の北を抜きドラとして抜き出す (北抜き)
+     * 補充牌 (嶺上牌) のツモは GameState 側で行う
+     * @param {Tile} northTile - 抜く北の牌
+     * @returns {boolean} 成功/失敗
+     */
+    extractNorth(northTile) {
+        const index = this.hand.findIndex(t => t.uniqueId === northTile.uniqueId);
+
+        if (index === -1) {
+            console.error('北抜きエラー: 指定された牌は手牌にありません。', northTile);
+            return false;
+        }
+
+        // 1. 手牌から削除し、抜きドラエリアに追加
+        this.hand.splice(index, 1);
+        this.nukiDora.push(northTile);
+
+        // 2. ツモ牌のクリア (補充牌を引くまでツモ牌はない)
+        this.lastDrawnTile = null;
+
+        return true;
+    }
+
+    /**
+     * 手牌の中から抜くことのできる北を返す
+     * @returns {Tile | null}
+     */
+    findNorth() {
+        return this.hand.find(t => t.toNormalCode() === NORTH_CODE) || null;
+    }
+
     /**
      * 手牌が和了形になっているかチェックする (簡易的なチェック)
      * 厳密な役判定は Judge.js にて行うため、ここでは枚数チェックのみ
@@ -151,11 +253,41 @@ export class Player {
 
     // --- その他、補助メソッド ---
 
+    /**
+     * 次の局に向けて、局ごとの状態 (手牌・河・鳴き・立直・フリテンなど) を初期化する
+     * 持ち点・親・風・CPUの設定は引き継ぐ
+     */
+    resetForRound() {
+        this.isRiichi = false;
+        this.isDaburi = false;
+        this.riichiSticks = 0;
+        this.isIppatsu = false;
+        this.isTsumo = false;
+        this.isRon = false;
+
+        this.hand = [];
+        this.kawa = [];
+        this.calledKawaIds = new Set();
+        this.tsumogiriIds = new Set();
+        this.riichiTileId = null;
+        this.naki = [];
+        this.nukiDora = [];
+        this.lastDrawnTile = null;
+
+        this.discardCodes = [];
+        this.isFuriten = false;
+        this.isTemporaryFuriten = false;
+    }
+
     /**
      * プレイヤーの風を設定する
      * @param {string} seatWind - 席風 ('東', '南', '西', '北')
+     * @param {string} [roundWind] - 場風 ('東', '南')。省略時は変更しない
      */
-    setWind(seatWind) {
+    setWind(seatWind, roundWind) {
         this.seatWind = seatWind;
+        if (roundWind) {
+            this.roundWind = roundWind;
+        }
     }
 }
@@ -0,0 +1,81 @@
+/**
+ * js/core/Random.js
+ * シード付きの疑似乱数生成器 (山のシャッフル・サイコロ用)
+ * 同じシードからは常に同じ乱数列が得られるため、配牌の再現や不具合報告の再現に使う
+ */
+
+// シードは32bit符号なし整数として扱う
+const SEED_RANGE = 0x100000000;
+
+export class Random {
+    /**
+     * @param {number} seed - シード値 (32bit符号なし整数)
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * 新しいシードを生成する (シード未指定の対局用)
+     * @returns {number}
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * SEED_RANGE);
+    }
+
+    /**
+     * 文字列や数値のシード指定を32bit符号なし整数に変換する
+     * 数字のみの場合はそのまま数値として、それ以外は文字列のハッシュ値として扱う
+     * @param {string | number | null} value - ロビーなどで入力されたシード
+     * @returns {number | null} シード値、または未指定の場合はnull
+     */
+    static parseSeed(value) {
+        if (value === null || value === undefined) return null;
+
+        const text = String(value).trim();
+        if (text === '') return null;
+
+        if (/^\d+$/.test(text)) {
+            return Number(text) % SEED_RANGE;
+        }
+
+        // FNV-1a ハッシュ
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * 0以上1未満の乱数を返す (Math.random() の代わり。mulberry32)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+    }
+
+    /**
+     * 0以上 max 未満の整数の乱数を返す
+     * @param {number} max - 上限 (この値は含まない)
+     * @returns {number}
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * この乱数列から独立した乱数生成器を作る
+     * 使う乱数の個数が状況で変わる処理 (CPUの探索など) に渡すと、元の乱数列の消費は1個に固定される
+     * @returns {Random}
+     */
+    fork() {
+        return new Random(this.nextInt(SEED_RANGE));
+    }
+}
@@ -0,0 +1,52 @@
+/**
+ * js/core/Scenario.js
+ * シナリオ (積み込み) の読み込み
+ * 配牌・ツモ順・王牌を MPSZ 表記で指定し、搶槓や嶺上開花・海底などのルールの境界を再現するために使う
+ *
+ * シナリオの JSON 形式 (省略した部分は残りの牌からランダムに補う。赤5は 0p のように書く):
+ * {
+ *   "name": "北の搶槓",
+ *   "hands": ["123p456p789p11s4z", "...", "..."], // 席順 (p0, p1, p2) の配牌 (各13枚まで)
+ *   "draws": "4z1s",                             // ツモ山の先頭から順にツモられる牌 (1枚目は親の第一ツモ)
+ *   "wallEnd": "9s",                             // ツモ山の末尾に置く牌 (最後の1枚が海底牌)
+ *   "deadWall": "1z2z3z4z5z"                     // 王牌の先頭から: 嶺上牌4枚 → ドラ表示牌5枚 → 裏ドラ表示牌5枚
+ * }
+ */
+
+import { Mpsz } from './Mpsz.js';
+
+// 配牌の枚数
+const HAND_SIZE = 13;
+
+export class Scenario {
+
+    /**
+     * シナリオの JSON (文字列またはオブジェクト) を読み込み、牌の配列に変換する
+     * @param {string | Object} source - シナリオの JSON
+     * @returns {{name: string, hands: Tile[][], draws: Tile[], wallEnd: Tile[], deadWall: Tile[]}}
+     */
+    static parse(source) {
+        const data = typeof source === 'string' ? JSON.parse(source) : source;
+        if (!data || typeof data !== 'object') {
+            throw new Error('シナリオの読み込みエラー: JSON オブジェクトではありません。');
+        }
+
+        // 1. 配牌 (席ごと)
+        const hands = (data.hands || []).map((text, index) => {
+            const tiles = Mpsz.parse(text || '');
+            if (tiles.length > HAND_SIZE) {
+                throw new Error(`シナリオの読み込みエラー: p${index} の配牌が${HAND_SIZE}枚を超えています。(${tiles.length}枚)`);
+            }
+            return tiles;
+        });
+
+        // 2. ツモ山の先頭・末尾と王牌
+        return {
+            name: data.name || '名称未設定のシナリオ',
+            hands: hands,
+            draws: Mpsz.parse(data.draws || ''),
+            wallEnd: Mpsz.parse(data.wallEnd || ''),
+            deadWall: Mpsz.parse(data.deadWall || '')
+        };
+    }
+}
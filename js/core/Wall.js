@@ -4,17 +4,41 @@
  */
 
 import { Tile } from './Tile.js';
+import { Random } from './Random.js';
+import { Mpsz } from './Mpsz.js';
 import { TILE_TYPE, EXCLUDED_TILES } from '../config.js';
 
+// 王牌の末尾10枚はドラ表示牌 (5枚) と裏ドラ表示牌 (5枚)。それより前が嶺上牌
+const DORA_INDICATOR_COUNT = 5;
+const INDICATOR_AREA_SIZE = DORA_INDICATOR_COUNT * 2;
+
+// 3人麻雀の山: 1人あたり18幢 (2段積み) = 36枚 × 3人 = 108枚
+const WALL_COUNT = 3;
+const STACK_HEIGHT = 2;
+
+// 配牌の枚数
+const HAND_SIZE = 13;
+
 export class Wall {
     /**
      * @param {GameConfig} config - ゲーム設定 (特に赤ドラルール)
+     * @param {Random} [rng] - シャッフル・サイコロに使う乱数生成器 (省略時はランダムなシード)
      */
-    constructor(config) {
+    constructor(config, rng = new Random(Random.createSeed())) {
         this.config = config;
-        this.tiles = [];       // 全ての牌（シャッフル済み）
-        this.deadWall = [];    // 嶺上牌 (4枚) + ドラ表示牌 (5枚) = 王牌
-        this.remainingTiles = 0; // 残りの牌数
+        this.rng = rng;
+        this.tiles = [];       // ツモ山 (ツモる順に並べた牌。先頭が次のツモ、末尾が海底牌)
+        this.deadWall = [];    // 嶺上牌 (4枚) + ドラ表示牌 (5枚) + 裏ドラ表示牌 (5枚) = 王牌
+        this.dice = [];        // 開門を決めたサイコロの目 (例: [3, 5])
+        this.breakPosition = null; // 開門位置 ({ wallIndex: 誰の山か (親から反時計回り), stack: 右端から何幢目か })
+    }
+
+    /**
+     * 残りのツモ可能な牌数 (王牌を除く。嶺上牌を引くたびに王牌の補充で1枚減る)
+     * @returns {number}
+     */
+    get remainingTiles() {
+        return this.tiles.length;
     }
 
     /**
@@ -29,6 +53,7 @@ export class Wall {
             for (let value = 1; value <= 9; value++) {
                 
                 const tileCode = `${value}${type}`;
+                const redRuleKey = `${type}${value}`; // GameConfig.redRules のキー (例: 'p5')
                 
                 // 3人麻雀ルール: 萬子の2〜8は不使用
                 if (EXCLUDED_TILES.includes(tileCode)) {
@@ -43,10 +68,10 @@ export class Wall {
                 if (type === TILE_TYPE.PINZU || type === TILE_TYPE.SOUZU) {
                     if (value === 5) {
                         // 5筒, 5索はconfigで指定された枚数（デフォルト1枚）を赤とする
-                        redCount = this.config.redRules[tileCode] || 1; 
+                        redCount = this.config.redRules[redRuleKey] ?? 1;
                     } else if (value === 3 || value === 7) {
                         // 3筒, 3索, 7筒, 7索はconfigで指定されたオプションの赤枚数
-                        redCount = this.config.redRules[tileCode] || 0;
+                        redCount = this.config.redRules[redRuleKey] || 0;
                     }
                 }
                 
@@ -80,15 +105,15 @@ export class Wall {
                     字牌 (7種) * 4 = 28
                     合計: 8 + 36 + 36 + 28 = 108枚。)`
         ); 
-        this.remainingTiles = this.tiles.length;
     }
 
     /**
      * 牌をシャッフルする (Fisher-Yatesアルゴリズム)
+     * 乱数は this.rng から取るため、同じシードなら同じ並びになる
      */
     shuffle() {
         for (let i = this.tiles.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = this.rng.nextInt(i + 1);
             [this.tiles[i], this.tiles[j]] = [this.tiles[j], this.tiles[i]];
         }
         console.log("山牌シャッフル完了。");
@@ -100,29 +125,105 @@ export class Wall {
      */
     draw() {
         if (this.tiles.length > 0) {
-            this.remainingTiles--;
-            // 配牌は山牌の末尾から行うのが一般的だが、
-            // シャッフル済み配列の先頭から引くことで実装をシンプルにする
+            // ツモ山は開門位置からツモる順に並べてあるため、先頭から引く
             return this.tiles.shift(); 
         }
         return null;
     }
 
+    /**
+     * サイコロを2つ振る
+     * @returns {number[]} 2つのサイコロの目
+     */
+    rollDice() {
+        return [1, 2].map(() => this.rng.nextInt(6) + 1);
+    }
+
+    /**
+     * サイコロで開門位置を決め、ツモ山をツモる順に並べ直す
+     * シャッフル後の牌を3人の山 (各18幢) に積んだものとして扱い、
+     * 出目の合計を親から反時計回りに数えた人の山の右端から、出目の数だけ幢を残して割る
+     * @param {number} [dealerIndex=0] - 親の席 (山の並びの起点)
+     */
+    breakWall(dealerIndex = 0) {
+        this.dice = this.rollDice();
+        const sum = this.dice[0] + this.dice[1];
+
+        const stacksPerWall = this.tiles.length / STACK_HEIGHT / WALL_COUNT;
+        const wallIndex = (dealerIndex + sum - 1) % WALL_COUNT;
+        this.breakPosition = { wallIndex, stack: sum };
+
+        // 山を一続きの幢の並び (ツモる方向) と見なし、開門位置から始まるように回転させる
+        // 開門位置の右側 (出目の数の幢) は王牌側、左側からツモが始まる
+        const breakStack = wallIndex * stacksPerWall + (stacksPerWall - sum);
+        const breakTile = breakStack * STACK_HEIGHT;
+        this.tiles = [...this.tiles.slice(breakTile), ...this.tiles.slice(0, breakTile)];
+
+        console.log(`サイコロ: ${this.dice.join(' + ')} = ${sum}。${wallIndex + 1}人目の山の右から${sum}幢目で開門。`);
+    }
+
+    /**
+     * シナリオに従って山を積み込む (shuffle と breakWall の代わりに使う)
+     * 配牌は GameState が席順に1枚ずつ配る順、その後ろにツモ順・残りの牌・海底側の牌・王牌を並べる
+     * 指定のない牌は残りの牌から乱数で補うため、山全体の枚数と赤ドラの枚数は通常の山と変わらない
+     * @param {{hands: Tile[][], draws: Tile[], wallEnd: Tile[], deadWall: Tile[]}} scenario - Scenario.parse() の結果
+     * @param {number} [playerCount=3] - 配牌を受け取る人数
+     */
+    stack(scenario, playerCount = WALL_COUNT) {
+        const deadWallSize = this.config.deadWallSize;
+        if (scenario.hands.length > playerCount) {
+            throw new Error(`シナリオの積み込みエラー: 配牌が${playerCount}人分を超えています。`);
+        }
+        if (scenario.deadWall.length > deadWallSize) {
+            throw new Error(`シナリオの積み込みエラー: 王牌が${deadWallSize}枚を超えています。`);
+        }
+
+        // 1. 指定された牌を山から抜き出す (残りはシャッフルして補充に使う)
+        this.shuffle();
+        const pool = this.tiles;
+        const take = (spec) => {
+            const index = pool.findIndex(tile => tile.equals(spec));
+            if (index === -1) {
+                throw new Error(`シナリオの積み込みエラー: ${Mpsz.toCode(spec)} が足りません (1種4枚まで。萬子の2〜8は使えません)。`);
+            }
+            return pool.splice(index, 1)[0];
+        };
+        const hands = Array.from({ length: playerCount }, (_, i) => (scenario.hands[i] || []).map(take));
+        const draws = scenario.draws.map(take);
+        const wallEnd = scenario.wallEnd.map(take);
+        const deadWall = scenario.deadWall.map(take);
+
+        // 2. 指定のない配牌・王牌を残りの牌で補う
+        const fillCount = hands.reduce((sum, hand) => sum + HAND_SIZE - hand.length, 0) + deadWallSize - deadWall.length;
+        if (fillCount > pool.length) {
+            throw new Error('シナリオの積み込みエラー: 指定された牌が多すぎて配牌・王牌を補えません。');
+        }
+        hands.forEach(hand => {
+            while (hand.length < HAND_SIZE) hand.push(pool.shift());
+        });
+        while (deadWall.length < deadWallSize) deadWall.push(pool.shift());
+
+        // 3. 配る順に並べ、ツモ山と王牌をつなげる (王牌は setDeadWall で末尾から切り分けられる)
+        const dealt = [];
+        for (let i = 0; i < HAND_SIZE; i++) {
+            hands.forEach(hand => dealt.push(hand[i]));
+        }
+        this.tiles = [...dealt, ...draws, ...pool, ...wallEnd, ...deadWall];
+
+        // 積み込みではサイコロを振らない
+        this.dice = [];
+        this.breakPosition = null;
+        console.log(`シナリオの山を積み込みました。(ツモ順指定: ${draws.length}枚, 海底側: ${wallEnd.length}枚)`);
+    }
+
     /**
      * 王牌（嶺上牌とドラ表示牌）を山から切り分ける
-     * 3人麻雀では通常、嶺上牌4枚とドラ表示牌5枚分を確保する。
+     * 開門位置の右側 (ツモ山の末尾) から、設定された枚数 (通常14枚) を切り分ける
+     * (嶺上牌4枚＋ドラ表示牌5枚＋裏ドラ表示牌5枚)
      */
     setDeadWall() {
-        // 王牌は山牌の末尾から14枚を切り分けるのが通常だが、
-        // 今回はシャッフル済み配列の末尾から取ることで実装をシンプルにする。
-        // ドラ表示牌5枚 (裏ドラ5枚) + 嶺上牌4枚 = 9枚を王牌として切り出すのが一般的
-        // 4人打ち: 嶺上4 + ドラ5 = 14枚
-        // 3人打ち: 嶺上4 + ドラ5 = 9枚 (残りの5枚はツモしない) -> 一般的には14枚切り分けることが多い
-        
-        // 4人打ちに倣い、14枚を切り分ける（嶺上4枚＋ドラ表示牌5枚＋裏ドラ表示牌5枚）
-        const deadWallSize = 14; 
+        const deadWallSize = this.config.deadWallSize; 
         this.deadWall = this.tiles.splice(this.tiles.length - deadWallSize, deadWallSize);
-        this.remainingTiles -= deadWallSize;
         console.log(`王牌 (${this.deadWall.length}枚) を切り分けました。残りのツモ可能な牌: ${this.remainingTiles}枚。`);
     }
 
@@ -131,34 +232,57 @@ export class Wall {
      * @returns {Tile | null} 嶺上牌、または王牌がない場合はnull
      */
     drawRinshan() {
-        // 王牌の先頭4枚が嶺上牌となる
-        if (this.deadWall.length >= 1) {
-             // 嶺上牌を引いたら、山から1枚補充する（ツモ牌を確保）
-             // 3人麻雀では嶺上牌を引いても補充しないルールもあるが、ここでは補充する
+        // 王牌の先頭 (ドラ表示牌より前) が嶺上牌となる
+        if (this.deadWall.length > INDICATOR_AREA_SIZE) {
+             // 嶺上牌を引いたら、ツモ山の末尾 (海底側) から1枚を王牌に移し、王牌の枚数を保つ
+             // (海底牌が1枚ずれるため、残りのツモ可能な牌数も1枚減る)
              const rinshanTile = this.deadWall.shift();
-             this.remainingTiles--; // 残りツモ牌数は減る (嶺上牌もツモ牌の総数に含まれるため)
              
-             // 嶺上牌を引いた後、王牌が14枚を維持するようにツモ牌を王牌に移動する処理は省略
-             // 代わりに、単純にdeadWallから引く動作のみとする
+             // 補充した牌は嶺上牌の末尾に加え、ドラ表示牌の位置は変えない
+             if (this.tiles.length > 0) {
+                 this.deadWall.splice(this.deadWall.length - INDICATOR_AREA_SIZE, 0, this.tiles.pop());
+             }
              return rinshanTile;
         }
         return null;
     }
     
+    /**
+     * 嶺上牌 (北抜き・カンの補充牌) をツモれるか判定する
+     * 王牌が尽きている場合や、ツモ可能な牌が残っていない (海底) 場合は不可
+     * @returns {boolean}
+     */
+    canDrawRinshan() {
+        return this.deadWall.length > INDICATOR_AREA_SIZE && this.remainingTiles > 0;
+    }
+
     /**
      * 初期ドラ表示牌を公開する
      * @returns {Tile[]} 初期ドラ表示牌 (1枚目)
      */
     getInitialDoraIndicators() {
-        // 王牌の3枚目 (インデックス2) が初期ドラ表示牌の位置
-        // 4人麻雀の王牌は [ドラ裏][ドラ表] | [嶺上] [裏ドラ表][裏ドラ裏] | [嶺上]
-        // 14枚を切り分けた場合、通常は中央の5枚の裏側から表をめくる。
-        // [1] [2] [3裏] [4表] | [5表] [6裏] [7裏] [8裏] | [9裏] [10裏] [11裏] [12裏] [13裏] [14裏]
-        
-        // ここでは実装の簡単のため、王牌の配列の最初の5枚をドラ表示牌、次の4枚を嶺上牌とする
-        const doraIndex = 4; // 王牌の5枚目がドラ表示牌 (裏側) の位置
+        // 王牌の並び: [嶺上牌 4枚 (補充あり)] [ドラ表示牌 5枚] [裏ドラ表示牌 5枚]
+        // ドラ表示牌・裏ドラ表示牌は王牌の末尾から数えるため、嶺上牌を引いても位置は変わらない
+        return [this.getDoraIndicator(0)];
+    }
 
-        // 5枚目の裏をめくって表とする
-        return [this.deadWall[doraIndex]]; 
+    /**
+     * n枚目のドラ表示牌を返す (0 = 初期ドラ、1以降 = カンドラ)
+     * @param {number} index - 何枚目のドラ表示牌か (0〜4)
+     * @returns {Tile | null}
+     */
+    getDoraIndicator(index) {
+        if (index >= DORA_INDICATOR_COUNT) return null;
+        return this.deadWall[this.deadWall.length - INDICATOR_AREA_SIZE + index];
+    }
+
+    /**
+     * 裏ドラ表示牌を返す (公開されているドラ表示牌と同じ枚数)
+     * @param {number} count - 公開されているドラ表示牌の枚数
+     * @returns {Tile[]}
+     */
+    getUraDoraIndicators(count) {
+        const start = this.deadWall.length - DORA_INDICATOR_COUNT;
+        return this.deadWall.slice(start, start + Math.min(count, DORA_INDICATOR_COUNT));
     }
 }
@@ -77,18 +77,17 @@ export class Cycler {
      */
     _advanceRound() {
         // 1. 局数と場風の更新
+        // 1つの場の局数は親になる人数と同じ (3人麻雀では東1〜東3局)
         this.currentRound++;
         
         // 3人麻雀では通常「東」→「南」の2周のみ
-        if (this.currentRound > 4) {
-            if (this.currentBaKaze === '東') {
-                this.currentBaKaze = '南';
-                this.currentRound = 1;
-            } else {
-                // 南4局が終了した場合 (東風戦なら東4局で終了)
-                this.isGameOver = true;
+        if (this.currentRound > this.players.length) {
+            if (this.currentBaKaze === '南' || this.config.length === 'east') {
+                // 南場 (東風戦なら東場) の最終局が終了した場合は終局 (isGameOver() で判定する)
                 return;
             }
+            this.currentBaKaze = '南';
+            this.currentRound = 1;
         }
         
         // 2. プレイヤーのローテーション (親の交代)
@@ -103,7 +102,7 @@ export class Cycler {
         // 3. 席風（自風）の更新
         this.players.forEach((p, index) => {
             // 東, 南, 西 (北は使わない)
-            p.setWind(ROUND_WINDS[index % 3]);
+            p.setWind(ROUND_WINDS[index % 3], this.currentBaKaze);
         });
         
         console.log(`局進行: ${this.currentBaKaze}${this.currentRound}局 0本場`);
@@ -115,10 +114,10 @@ export class Cycler {
      */
     isGameOver() {
         // 1. 規定局数のチェック
-        if (this.currentBaKaze === '南' && this.currentRound > 4 && this.config.length === 'south') {
+        if (this.currentBaKaze === '南' && this.currentRound > this.players.length && this.config.length === 'south') {
             return true;
         }
-        if (this.currentBaKaze === '東' && this.currentRound > 4 && this.config.length === 'east') {
+        if (this.currentBaKaze === '東' && this.currentRound > this.players.length && this.config.length === 'east') {
             return true;
         }
         
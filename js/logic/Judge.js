@@ -5,170 +5,97 @@
 
 import { Tile } from '../core/Tile.js';
 import { Player } from '../core/Player.js';
+import { Shanten, KIND_COUNT, YAOCHU_INDEXES } from './Shanten.js';
 
 export class Judge {
 
+    // --- 複合形判定 (面子手と七対子/国士無双の識別) ---
+
     /**
-     * 和了可能かどうかを総合的に判定する（入り口）
-     * @param {Player} player - 判定対象プレイヤー
-     * @param {Tile} agariTile - 和了牌 (ツモまたはロン)
+     * 和了形を雀頭と面子に分解する全ての解釈を列挙する
+     * 同じ手牌でも複数の解釈がありうる (例: 111222333p は順子3つ / 刻子3つ) ため、
+     * 点数計算では最も高くなる解釈を選ぶ
+     * - 鳴き面子は副露 (isOpen: true) として含める
+     * - ロン和了で和了牌が刻子に入る解釈では、その刻子を明刻 (isOpen: true) とする
+     * - 和了牌を含む面子 (または雀頭) ごとに別の解釈として列挙し、待ちの形を付与する
+     * @param {Tile[]} hand - 和了牌を含まない手牌
+     * @param {Array<Object>} naki - 鳴き牌の配列
+     * @param {Tile} agariTile - 和了牌
      * @param {boolean} isRon - ロン和了かどうか
-     * @returns {{canWin: boolean, waitingTiles: Tile[]}}
+     * @returns {Array<{pair: string, mentsu: Array<{type: string, code: string, isOpen: boolean, containsAgari: boolean}>, machi: string}>}
+     *          mentsu の type は 'shuntsu', 'koutsu', 'kantsu'、code は順子の先頭 / 刻子・槓子の牌コード
      */
-    static checkAgari(player, agariTile, isRon) {
-        
-        // 1. 手牌に和了牌を加える (判定のための一時的な操作)
-        let tempHand = [...player.hand];
-        if (agariTile) {
-             tempHand.push(agariTile);
-        }
-        
-        // 2. 枚数チェック (4面子1雀頭 = 14枚 または 7対子 = 14枚)
-        if (tempHand.length % 3 !== 2) {
-             // 鳴き牌の枚数も含めた合計が14枚でなければ和了形ではない
-             // Player.js側で総枚数チェックは行われているはずだが、念のため
-             return { canWin: false, waitingTiles: [] }; 
-        }
+    static decompose(hand, naki, agariTile, isRon) {
+        const counts = Shanten.toCounts([...hand, agariTile]);
+        const agariIndex = Shanten.toKindIndex(agariTile);
+        const nakiMentsu = naki.map(meld => this._meldToMentsu(meld));
 
-        // 3. フリテン判定
-        if (isRon && this.isPermanentFuriten(player, tempHand)) {
-            console.log("ロン和了不可: 振り聴");
-            return { canWin: false, waitingTiles: [] };
-        }
-        
-        // 4. 役判定 (役なしの和了はロン/ツモ共に不可)
-        // 鳴きがない場合、七対子と国士無双を先にチェックすることが多い
-        const { isNormalForm, waitingTiles } = this.findWinningForms(tempHand, player.naki);
-
-        if (isNormalForm) {
-            // 5. 役の有無チェック (最低1役が必要)
-            // このメソッド自体は Judge.js 内の別のメソッド (例: checkYaku) を呼ぶ
-            // const yakuResult = this.checkYaku(player, agariTile, isRon, tempHand);
-            // if (yakuResult.han === 0) return { canWin: false, waitingTiles };
-            
-            // 簡易的に、形が整っていれば和了可能とする
-            return { canWin: true, waitingTiles };
-        }
+        const results = [];
+        const seen = new Set();
 
-        // 6. 特殊役判定 (七対子、国士無双)
-        if (this.isChiitoitsu(tempHand)) {
-             // 七対子は待ち牌が1種類のみ
-             return { canWin: true, waitingTiles: [agariTile] };
-        }
-        // if (this.isKokushi(tempHand)) ...
-        
-        return { canWin: false, waitingTiles: [] };
-    }
+        for (const split of this._splitWinningHand(counts)) {
+            // 和了牌がどの面子 (雀頭) に入るかの候補 (groupIndex = -1 は雀頭)
+            const placements = [];
+            if (split.pair === agariIndex) {
+                placements.push({ groupIndex: -1, machi: 'tanki' });
+            }
+            split.groups.forEach((group, groupIndex) => {
+                // 同じ面子が複数ある場合は先頭の1組だけを候補にする
+                const firstIndex = split.groups.findIndex(g => g.type === group.type && g.index === group.index);
+                if (firstIndex !== groupIndex) return;
 
+                const machi = this._classifyMachi(group, agariIndex);
+                if (machi) placements.push({ groupIndex, machi });
+            });
 
-    // --- 複合形判定 (面子手と七対子/国士無双の識別) ---
+            for (const { groupIndex, machi } of placements) {
+                const mentsu = split.groups.map((group, i) => ({
+                    type: group.type,
+                    code: Shanten.indexToCode(group.index),
+                    // ロンで完成した刻子は明刻扱い
+                    isOpen: i === groupIndex && isRon && group.type === 'koutsu',
+                    containsAgari: i === groupIndex
+                }));
 
-    /**
-     * 手牌が4面子1雀頭の形になっているかを解析する (再帰バックトラック法を使用)
-     * @param {Tile[]} hand - 手牌 (和了牌を含む14枚)
-     * @param {Array<Object>} naki - 鳴き牌の配列
-     * @returns {{isNormalForm: boolean, waitingTiles: Tile[]}}
-     */
-    static findWinningForms(hand, naki) {
-        // 鳴き牌は既に面子として確定しているため、手牌のみを解析する
-        
-        // 1. 解析用のデータを準備 (ソート、枚数カウント)
-        const sortedHand = [...hand].sort((a, b) => a.code.localeCompare(b.code));
-        
-        // 2. 牌の枚数をマップに記録 { '1p': 4, '2p': 1, ... }
-        const tileCounts = new Map();
-        for (const tile of sortedHand) {
-            const key = tile.toNormalCode(); // 赤ドラを無視したコード
-            tileCounts.set(key, (tileCounts.get(key) || 0) + 1);
-        }
+                const decomposition = {
+                    pair: Shanten.indexToCode(split.pair),
+                    mentsu: [...mentsu, ...nakiMentsu],
+                    machi
+                };
 
-        // 3. 雀頭（アタマ）の候補を探す (カウントが2以上の牌)
-        const pairCandidates = Array.from(tileCounts.entries())
-            .filter(([key, count]) => count >= 2)
-            .map(([key]) => key);
-
-        let isWinning = false;
-        let waitingTiles = [];
-
-        for (const pairCode of pairCandidates) {
-            // 雀頭候補を2枚使用
-            const tempCounts = new Map(tileCounts);
-            tempCounts.set(pairCode, tempCounts.get(pairCode) - 2);
-            
-            // 雀頭以外の残り12枚で4面子（順子 or 刻子）が完成するかチェック
-            if (this._findMentsu(tempCounts)) {
-                isWinning = true;
-                // 待ち牌の特定は、この関数外で行うか、このメソッド内でロジックを分岐させる必要がある
-                // (今回は和了形が確認できたことのみを返す)
-                break;
+                // 念のため同一の解釈の重複を除く
+                const key = JSON.stringify(decomposition);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    results.push(decomposition);
+                }
             }
         }
-        
-        return { isNormalForm: isWinning, waitingTiles };
+
+        return results;
     }
 
     /**
-     * 4面子を探すための再帰関数（バックトラック法）
-     * @param {Map<string, number>} counts - 牌の残数マップ
-     * @returns {boolean} 4面子が完成したか
+     * 鳴き牌の組を面子の表現に変換する
+     * @param {Object} meld - Player.callMeld で作られた鳴き構造体
+     * @returns {{type: string, code: string, isOpen: boolean, containsAgari: boolean}}
      */
-    static _findMentsu(counts) {
-        
-        // 1. 残っている牌のうち、最も数の少ない牌（先頭の牌）を見つける
-        let firstTileCode = null;
-        for (const [code, count] of counts.entries()) {
-            if (count > 0) {
-                firstTileCode = code;
-                break;
-            }
-        }
+    static _meldToMentsu(meld) {
+        const firstIndex = Math.min(...meld.tiles.map(t => Shanten.toKindIndex(t)));
 
-        // 2. 全ての牌を使い切った場合 (4面子完成)
-        if (!firstTileCode) {
-            return true;
+        let type = 'koutsu';
+        if (meld.type === 'chi') {
+            type = 'shuntsu';
+        } else if (meld.tiles.length === 4) {
+            type = 'kantsu';
         }
 
-        // 3. 現在の牌の残り枚数
-        const count = counts.get(firstTileCode);
-
-        // --- 刻子（コーツ）として処理 ---
-        if (count >= 3) {
-            counts.set(firstTileCode, count - 3);
-            if (this._findMentsu(counts)) {
-                return true;
-            }
-            // バックトラック: 戻す
-            counts.set(firstTileCode, count);
-        }
-
-        // --- 順子（シュンツ）として処理 ---
-        // 字牌以外 かつ 8, 9ではない場合
-        if (firstTileCode[0] !== 'z' && firstTileCode[0] < '8') {
-            const type = firstTileCode.slice(-1); // m, p, s
-            const value = parseInt(firstTileCode[0]);
-
-            // 順子の次の牌 (value + 1) とその次の牌 (value + 2)
-            const nextCode = (value + 1) + type;
-            const nextNextCode = (value + 2) + type;
-
-            if (counts.get(nextCode) > 0 && counts.get(nextNextCode) > 0) {
-                // 順子として使用する牌の枚数を減らす
-                counts.set(firstTileCode, count - 1);
-                counts.set(nextCode, counts.get(nextCode) - 1);
-                counts.set(nextNextCode, counts.get(nextNextCode) - 1);
-                
-                if (this._findMentsu(counts)) {
-                    return true;
-                }
-                
-                // バックトラック: 戻す
-                counts.set(firstTileCode, count);
-                counts.set(nextCode, counts.get(nextCode) + 1);
-                counts.set(nextNextCode, counts.get(nextNextCode) + 1);
-            }
-        }
-
-        return false; // 面子が見つからなかった
+        return {
+            type,
+            code: Shanten.indexToCode(firstIndex),
+            isOpen: meld.type !== 'ankan', // 暗槓のみ門前扱い
+            containsAgari: false
+        };
     }
 
     /**
@@ -204,22 +131,33 @@ export class Judge {
 
     // --- フリテン判定 ---
 
+    /**
+     * ロン和了できない振り聴状態（フリテン）かを判定する (入り口)
+     * 捨て牌によるフリテン・同巡内フリテン・立直後の見逃しによるフリテンのいずれか
+     * @param {Player} player - 判定対象プレイヤー (ツモ前の手牌)
+     * @returns {boolean}
+     */
+    static isFuriten(player) {
+        return player.isTemporaryFuriten || this.isPermanentFuriten(player);
+    }
+
     /**
      * ロン和了できない永続的な振り聴状態（フリテン）かを判定する
+     * 待ちが変わらない限り解消しないフリテン (捨て牌フリテン・立直後の見逃し)
      * @param {Player} player - 判定対象プレイヤー
-     * @param {Tile[]} finalHand - 和了牌を加えた手牌 (14枚)
      * @returns {boolean}
      */
-    static isPermanentFuriten(player, finalHand) {
-        if (!player.isRiichi) {
-            // リーチしていなければ、永続的なフリテンではない
-            return false;
+    static isPermanentFuriten(player) {
+        // 1. 立直後にロンを見逃した場合、和了するまでフリテン
+        if (player.isFuriten) {
+            return true;
         }
         
-        // 1. リーチ後のフリテン：和了形を構成している待ち牌が、過去に河（kawa）にあるか
+        // 2. 捨て牌によるフリテン：待ち牌のいずれかが、過去に自分の河（kawa）にあるか
+        // (他家に鳴かれた牌も自分の捨て牌として扱う)
         
-        // リーチ後の和了形を解析し、全ての待ち牌を特定する
-        const allWaitTiles = this.findAllWaitTiles(finalHand, player.naki);
+        // 和了牌を加える前の手牌 (13枚) から、全ての待ち牌を特定する
+        const allWaitTiles = this.findAllWaitTiles(player.hand, player.naki);
         
         // プレイヤーの捨て牌履歴 (赤ドラを無視したコード)
         const discardCodes = player.discardCodes;
@@ -233,23 +171,181 @@ export class Judge {
         
         return false;
     }
+
+    /**
+     * 牌がプレイヤーの待ち牌 (和了形になる牌) かどうか判定する
+     * 役の有無は問わない (役がなくても見逃しはフリテンになる)
+     * @param {Player} player - 判定対象プレイヤー (ツモ前の手牌)
+     * @param {Tile} tile - 判定する牌
+     * @returns {boolean}
+     */
+    static isWaitingTile(player, tile) {
+        return Shanten.calculate([...player.hand, tile], player.naki).shanten === -1;
+    }
     
+
+    // --- 待ち牌の判定 ---
+
     /**
-     * 和了形から全ての待ち牌のコード (例: ['1p', '4p']) を特定する
-     * ※この関数は複雑なため、ここではロジックの意図を示すのみ
-     * @param {Tile[]} hand - 和了牌を含む手牌 (14枚)
+     * 手牌 (ツモ前の13枚、鳴きがあればその分少ない) の待ち牌のコード (例: ['1p', '4p']) を全て特定する
+     * 34種類の牌を1枚ずつ加えてみて、和了形 (向聴数 -1) になる牌種を待ち牌とする
+     * 自分の手牌で4枚使い切っている牌 (3人麻雀で起こりやすい純カラの待ち) も待ち牌として列挙する
+     * @param {Tile[]} hand - 和了牌を含まない手牌
      * @param {Array<Object>} naki - 鳴き牌の配列
      * @returns {string[]} 全ての待ち牌のコード
      */
-    static findAllWaitTiles(hand, naki) {
-        // これは非常に高度なロジックが必要（天鳳/雀魂レベル）
-        // 14枚の手牌から、どの1枚を引いても和了形になる牌種を全て探す必要がある
-        // 例: 23456789p 11s -> 14枚から1枚抜いた13枚の和了形を判定し、
-        // 抜いた牌が待ち牌かどうかをチェックする...という処理を行う
-
-        // 簡易実装として、一旦、手牌の牌種を返す (ダミー)
-        const dummy = hand.map(t => t.toNormalCode());
-        return Array.from(new Set(dummy));
+    static findAllWaitTiles(hand, naki = []) {
+        const counts = Shanten.toCounts(hand);
+        const waits = [];
+
+        for (let index = 0; index < KIND_COUNT; index++) {
+            counts[index]++;
+            if (Shanten.calculateFromCounts(counts, naki.length).shanten === -1) {
+                waits.push(Shanten.indexToCode(index));
+            }
+            counts[index]--;
+        }
+
+        return waits;
+    }
+
+    /**
+     * 聴牌しているか判定する
+     * 待ち牌が全て自分の手牌で4枚使い切っている牌の場合は、和了牌が存在しないため聴牌と認めない
+     * @param {Tile[]} hand - 和了牌を含まない手牌
+     * @param {Array<Object>} naki - 鳴き牌の配列
+     * @returns {boolean}
+     */
+    static isTenpai(hand, naki = []) {
+        const counts = Shanten.toCounts(hand);
+        return this.findAllWaitTiles(hand, naki)
+            .some(code => counts[Shanten.codeToIndex(code)] < 4);
+    }
+
+    /**
+     * 立直宣言牌として切ることのできる牌 (切った後に聴牌が残る牌) を列挙する
+     * @param {Player} player - ツモ番のプレイヤー (ツモ牌を含む手牌)
+     * @returns {Tile[]} 聴牌を維持できる打牌の候補
+     */
+    static findRiichiDiscards(player) {
+        return player.hand.filter(tile =>
+            this.isTenpai(player.hand.filter(t => t.uniqueId !== tile.uniqueId), player.naki)
+        );
+    }
+
+    /**
+     * 九種九牌の条件 (幺九牌が9種類以上) を満たすか判定する
+     * 第一ツモかどうか (鳴きが入っていないか) は GameState 側で判定する
+     * @param {Tile[]} hand - ツモ牌を含む14枚の手牌
+     * @returns {boolean}
+     */
+    static isKyuushuKyuuhai(hand) {
+        const counts = Shanten.toCounts(hand);
+        return YAOCHU_INDEXES.filter(index => counts[index] > 0).length >= 9;
+    }
+
+    /**
+     * 和了牌に対して取りうる待ちの形を全て列挙する
+     * 同じ和了牌でも手牌の解釈により複数の待ちになりうる (例: 2344p に 4p で和了 → 単騎 / 両面)
+     * @param {Tile[]} hand - 和了牌を含まない手牌
+     * @param {Array<Object>} naki - 鳴き牌の配列
+     * @param {Tile} agariTile - 和了牌
+     * @returns {string[]} 'ryanmen', 'kanchan', 'penchan', 'shanpon', 'tanki' の配列 (和了形でなければ空)
+     */
+    static getMachiTypes(hand, naki, agariTile) {
+        // 1. 標準形: 分解ごとの待ちの形
+        const machiTypes = new Set(this.decompose(hand, naki, agariTile, false).map(d => d.machi));
+
+        // 2. 七対子・国士無双は単騎待ち扱い
+        if (naki.length === 0 && machiTypes.size === 0) {
+            const counts = Shanten.toCounts([...hand, agariTile]);
+            if (Shanten.calculateFromCounts(counts, 0).shanten === -1) {
+                machiTypes.add('tanki');
+            }
+        }
+
+        return Array.from(machiTypes);
+    }
+
+    /**
+     * 面子と和了牌の位置関係から待ちの形を判定する
+     * @param {{type: string, index: number}} group - 面子 (index は順子の先頭 / 刻子の牌種)
+     * @param {number} agariIndex - 和了牌の牌種インデックス
+     * @returns {string | null} 和了牌を含まない面子の場合は null
+     */
+    static _classifyMachi(group, agariIndex) {
+        if (group.type === 'koutsu') {
+            return group.index === agariIndex ? 'shanpon' : null;
+        }
+
+        const offset = agariIndex - group.index;
+        if (offset < 0 || offset > 2) return null;
+
+        // 嵌張: 真ん中の牌で和了 (例: 13 に 2)
+        if (offset === 1) return 'kanchan';
+
+        // 辺張: 12 に 3、89 に 7 で和了
+        const position = group.index % 9;
+        if ((offset === 2 && position === 0) || (offset === 0 && position === 6)) {
+            return 'penchan';
+        }
+
+        return 'ryanmen';
+    }
+
+    /**
+     * 和了形 (鳴きを除く手牌部分) を雀頭と面子に分解する全ての方法を列挙する
+     * @param {number[]} counts - 牌種ごとの枚数
+     * @returns {Array<{pair: number, groups: Array<{type: string, index: number}>}>}
+     */
+    static _splitWinningHand(counts) {
+        const splits = [];
+
+        for (let pair = 0; pair < KIND_COUNT; pair++) {
+            if (counts[pair] < 2) continue;
+
+            const work = [...counts];
+            work[pair] -= 2;
+            this._splitGroups(work, 0, [], groups => splits.push({ pair, groups }));
+        }
+
+        return splits;
+    }
+
+    /**
+     * 残りの牌を刻子・順子に分解する方法を再帰的に列挙する
+     * @param {number[]} counts - 牌種ごとの残り枚数 (探索中に増減させる)
+     * @param {number} index - 探索を開始する牌種インデックス
+     * @param {Array<{type: string, index: number}>} groups - これまでに確定した面子
+     * @param {Function} onFound - 全ての牌を面子にできた場合に呼ばれるコールバック
+     */
+    static _splitGroups(counts, index, groups, onFound) {
+        while (index < KIND_COUNT && counts[index] === 0) {
+            index++;
+        }
+
+        if (index >= KIND_COUNT) {
+            onFound([...groups]);
+            return;
+        }
+
+        // 刻子として使う
+        if (counts[index] >= 3) {
+            counts[index] -= 3;
+            groups.push({ type: 'koutsu', index });
+            this._splitGroups(counts, index, groups, onFound);
+            groups.pop();
+            counts[index] += 3;
+        }
+
+        // 順子として使う (数牌の7以下のみ)
+        if (index < 27 && index % 9 <= 6 && counts[index + 1] > 0 && counts[index + 2] > 0) {
+            counts[index]--; counts[index + 1]--; counts[index + 2]--;
+            groups.push({ type: 'shuntsu', index });
+            this._splitGroups(counts, index, groups, onFound);
+            groups.pop();
+            counts[index]++; counts[index + 1]++; counts[index + 2]++;
+        }
     }
 
 
@@ -289,4 +385,76 @@ export class Judge {
         
         return true;
     }
+
+    /**
+     * 大明槓 (他家の捨て牌でのカン) が可能かどうか判定する
+     * 嶺上牌が残っているかどうかは GameState 側で判定する
+     * @param {Player} player 
+     * @param {Tile} discardedTile 
+     * @returns {boolean}
+     */
+    static canDaiminkan(player, discardedTile) {
+        // 1. 手牌に同じ牌が3枚あるか
+        const sameKindCount = player.hand.filter(t => t.isSameKind(discardedTile)).length;
+        if (sameKindCount < 3) return false;
+
+        // 2. 立直後ではないか
+        if (player.isRiichi) return false;
+
+        return true;
+    }
+
+    /**
+     * 暗槓できる牌のコードを列挙する
+     * 立直後は、ツモった牌での暗槓で、かつ待ちが変わらない場合のみ可能
+     * @param {Player} player - ツモ番のプレイヤー (ツモ牌を含む手牌)
+     * @returns {string[]} 暗槓できる牌のコード
+     */
+    static findAnkanCodes(player) {
+        const counts = Shanten.toCounts(player.hand);
+        const codes = [];
+
+        for (let index = 0; index < KIND_COUNT; index++) {
+            if (counts[index] < 4) continue;
+
+            const code = Shanten.indexToCode(index);
+            if (player.isRiichi && !this._canAnkanAfterRiichi(player, code)) continue;
+
+            codes.push(code);
+        }
+
+        return codes;
+    }
+
+    /**
+     * 加槓できる牌のコードを列挙する (ポンした牌を手牌に持っている場合)
+     * @param {Player} player - ツモ番のプレイヤー
+     * @returns {string[]} 加槓できる牌のコード
+     */
+    static findShouminkanCodes(player) {
+        return player.naki
+            .filter(meld => meld.type === 'pon')
+            .map(meld => meld.tiles[0].toNormalCode())
+            .filter(code => player.hand.some(t => t.toNormalCode() === code));
+    }
+
+    /**
+     * 立直後の暗槓が可能か判定する
+     * ツモ牌でのカンであり、カンの前後で待ち牌が変わらないこと (送り槓・待ちの変わるカンは不可)
+     * @param {Player} player - 立直中のプレイヤー
+     * @param {string} code - 暗槓する牌のコード
+     * @returns {boolean}
+     */
+    static _canAnkanAfterRiichi(player, code) {
+        const drawn = player.lastDrawnTile;
+        if (!drawn || drawn.toNormalCode() !== code) return false;
+
+        const before = this.findAllWaitTiles(player.hand.filter(t => t.uniqueId !== drawn.uniqueId), player.naki);
+        const after = this.findAllWaitTiles(
+            player.hand.filter(t => t.toNormalCode() !== code),
+            [...player.naki, { type: 'ankan' }]
+        );
+
+        return before.length === after.length && before.every(w => after.includes(w));
+    }
 }
@@ -1,11 +1,14 @@
 /**
  * js/logic/Scorer.js
- * 符計算、翻数確定、点数早見表に基づいた点数計算ロジック
+ * 符計算、翻数確定、基本点 (符 × 2^(翻数+2)) に基づいた点数計算ロジック
  * 添付された「点数計算-1, 2, 3.jpg」のルールを厳密に実装
  */
 
 import { Player } from '../core/Player.js';
 import { Tile } from '../core/Tile.js';
+import { Judge } from './Judge.js';
+import { Shanten } from './Shanten.js';
+import { GameConfig, TILE_TYPE, WIND_TILE_CODES, DRAGON_CODES, NORTH_CODE } from '../config.js';
 
 // --- 添付画像に基づく定数 ---
 const FU_TABLE = {
@@ -31,29 +34,83 @@ const FU_EXCEPTIONS = {
     PINFU_TSUMO: 20 // 平和ツモは一律20符
 };
 
-// --- 点数早見表データ (子) ---
-// { 符: { 翻数: [ツモ点(親, 子), ロン点] } }
-const SCORE_CHILD_MAP = {
-    // 20符 (平和ツモのみ)
-    20: { 1: [300, 500], 2: [400, 700], 3: [700, 1300], 4: [1300, 2600] },
-    // 25符 (七対子/特殊ロン)
-    25: { 2: [800, 1600], 3: [1600, 3200], 4: [3200, 6400] },
-    // 30符
-    30: { 1: [1000, 2000], 2: [500, 1000, 2000], 3: [1000, 2000, 3900], 4: [2000, 3900, 7700] },
-    // 40符
-    40: { 1: [1300, 2600], 2: [700, 1300, 2600], 3: [1300, 2600, 5200] },
-    // ... (添付画像データを全てここに格納する) ...
+// --- 点数計算 (基本点方式) ---
+// 基本点 = 符 × 2^(翻数 + 2)。子のロンは基本点 × 4、親のロンは基本点 × 6 (100点未満切り上げ)
+// ツモは 親の支払い = 基本点 × 2、子の支払い = 基本点 × 1 (親のツモは子が基本点 × 2 ずつ)
+
+// 満貫以上の基本点
+const LIMIT_BASE_POINTS = {
+    MANGAN: 2000,      // 満貫 (5翻 / 基本点2000以上)
+    HANEMAN: 3000,     // 跳満 (6-7翻)
+    BAIMAN: 4000,      // 倍満 (8-10翻)
+    SANBAIMAN: 6000,   // 三倍満 (11-12翻)
+    YAKUMAN: 8000      // 役満 (1倍あたり)
+};
+
+// 切り上げ満貫の対象となる基本点 (30符4翻 / 60符3翻 = 1920)
+const KIRIAGE_BASE_POINTS = 1920;
+
+// ルール設定が渡されなかった場合の既定値
+const DEFAULT_CONFIG = new GameConfig();
+
+// 役の翻数 { 門前: 翻数, 副露: 翻数 (0 = 副露では不成立) }
+const YAKU_HAN = {
+    RIICHI:         { name: '立直',         closed: 1, open: 0 },
+    DOUBLE_RIICHI:  { name: 'ダブル立直',   closed: 2, open: 0 },
+    IPPATSU:        { name: '一発',         closed: 1, open: 0 },
+    MENZEN_TSUMO:   { name: '門前清自摸和', closed: 1, open: 0 },
+    TANYAO:         { name: '断幺九',       closed: 1, open: 1 },
+    PINFU:          { name: '平和',         closed: 1, open: 0 },
+    IIPEIKOU:       { name: '一盃口',       closed: 1, open: 0 },
+    RYANPEIKOU:     { name: '二盃口',       closed: 3, open: 0 },
+    SANSHOKU:       { name: '三色同順',     closed: 2, open: 1 },
+    SANSHOKU_DOUKOU:{ name: '三色同刻',     closed: 2, open: 2 },
+    ITTSUU:         { name: '一気通貫',     closed: 2, open: 1 },
+    CHANTA:         { name: '混全帯幺九',   closed: 2, open: 1 },
+    JUNCHAN:        { name: '純全帯幺九',   closed: 3, open: 2 },
+    TOITOI:         { name: '対々和',       closed: 2, open: 2 },
+    SANANKOU:       { name: '三暗刻',       closed: 2, open: 2 },
+    SANKANTSU:      { name: '三槓子',       closed: 2, open: 2 },
+    HONITSU:        { name: '混一色',       closed: 3, open: 2 },
+    CHINITSU:       { name: '清一色',       closed: 6, open: 5 },
+    SHOUSANGEN:     { name: '小三元',       closed: 2, open: 2 },
+    HONROUTOU:      { name: '混老頭',       closed: 2, open: 2 },
+    CHIITOITSU:     { name: '七対子',       closed: 2, open: 0 },
+    HAITEI:         { name: '海底摸月',     closed: 1, open: 1 },
+    HOUTEI:         { name: '河底撈魚',     closed: 1, open: 1 },
+    RINSHAN:        { name: '嶺上開花',     closed: 1, open: 1 },
+    CHANKAN:        { name: '槍槓',         closed: 1, open: 1 }
 };
 
-// 満貫以上の点数 (子)
-const LIMIT_CHILD_MAP = {
-    5: 8000,           // 満貫 (2000-4000)
-    6: 12000,          // 跳満 (3000-6000)
-    8: 16000,          // 倍満 (4000-8000)
-    11: 24000,         // 三倍満 (6000-12000)
-    13: 32000          // 役満 (8000-16000)
+// 役満 (multiplier: ダブル役満なら2)
+const YAKUMAN = {
+    KOKUSHI:        { name: '国士無双',           multiplier: 1 },
+    KOKUSHI_13:     { name: '国士無双十三面待ち', multiplier: 2 },
+    SUUANKOU:       { name: '四暗刻',             multiplier: 1 },
+    SUUANKOU_TANKI: { name: '四暗刻単騎',         multiplier: 2 },
+    DAISANGEN:      { name: '大三元',             multiplier: 1 },
+    SHOUSUUSHII:    { name: '小四喜',             multiplier: 1 },
+    DAISUUSHII:     { name: '大四喜',             multiplier: 2 },
+    TSUUIISOU:      { name: '字一色',             multiplier: 1 },
+    CHINROUTOU:     { name: '清老頭',             multiplier: 1 },
+    RYUUIISOU:      { name: '緑一色',             multiplier: 1 },
+    CHUUREN:        { name: '九蓮宝燈',           multiplier: 1 },
+    JUNSEI_CHUUREN: { name: '純正九蓮宝燈',       multiplier: 2 },
+    SUUKANTSU:      { name: '四槓子',             multiplier: 1 },
+    TENHOU:         { name: '天和',               multiplier: 1 },
+    CHIIHOU:        { name: '地和',               multiplier: 1 }
+};
+
+// 緑一色に使える牌 (2s, 3s, 4s, 6s, 8s, 發)
+const GREEN_CODES = ['2s', '3s', '4s', '6s', '8s', 'z6'];
+
+// 風牌 (東南西北) の牌コード
+const WIND_CODES = ['z1', 'z2', 'z3', 'z4'];
+
+// 役牌の表示名
+const YAKUHAI_NAMES = {
+    z1: '東', z2: '南', z3: '西', z4: '北', z5: '白', z6: '發', z7: '中'
 };
-// ... 親のデータも同様に定義 ...
 
 export class Scorer {
     /**
@@ -63,45 +120,173 @@ export class Scorer {
      * @param {boolean} isRon - ロン和了かどうか
      * @param {Tile[]} finalHand - 和了牌を含む14枚の手牌
      * @param {Tile[]} doraIndicators - ドラ表示牌
-     * @returns {{totalScore: number, han: number, fu: number, yaku: string[], tsumoBase: number}}
+     * @param {Object} [context] - 和了時の状況 (GameState から渡す)
+     * @param {GameConfig} [context.config] - ゲーム設定 (北の扱いなど)
+     * @param {boolean} [context.isHaitei] - 最後の牌での和了かどうか (海底/河底)
+     * @param {boolean} [context.isRinshan] - 嶺上牌でのツモ和了かどうか
+     * @param {boolean} [context.isChankan] - 槍槓 (加槓した牌へのロン) かどうか。抜いた北へのロンは含まない
+     * @param {boolean} [context.isFirstTurn] - 鳴きの入っていない第一ツモでの和了かどうか (天和/地和)
+     * @param {number} [context.honba] - 本場数
+     * @param {Tile[]} [context.uraDoraIndicators] - 裏ドラ表示牌 (立直者の和了のみ)
+     * @returns {{totalScore: number, han: number, fu: number, yaku: Array<{name: string, han: number, yakuman?: number}>, yakumanMultiplier: number, basePoints: number, payments: Object, honbaBonus: number}}
      */
-    static calculateScore(winner, agariTile, isRon, finalHand, doraIndicators) {
+    static calculateScore(winner, agariTile, isRon, finalHand, doraIndicators, context = {}) {
         
-        // 1. 役の判定と翻数の算出 (Judge.checkYakuを呼び出す想定)
-        // 仮の役結果
-        const { han, yaku, isPinfu, isChiitoitsu } = this._calculateYakuAndHan(winner, agariTile, isRon, finalHand, doraIndicators);
+        // 1. 役の判定と翻数の算出 (役満があれば通常役より優先)
+        const yakumanResult = this._calculateYakuman(winner, agariTile, isRon, finalHand, context);
+        const { han, yaku, isPinfu, isChiitoitsu, decomposition } = yakumanResult
+            || this._calculateYakuAndHan(winner, agariTile, isRon, finalHand, doraIndicators, context);
 
         if (han === 0) {
-            return { totalScore: 0, han: 0, fu: 0, yaku: ["役なし"], tsumoBase: 0 };
+            return { totalScore: 0, han: 0, fu: 0, yaku: [{ name: '役なし', han: 0 }], yakumanMultiplier: 0, basePoints: 0, payments: {}, honbaBonus: 0 };
         }
         
-        // 2. 符の計算
-        const fu = this.calculateFu(winner, agariTile, isRon, finalHand, isPinfu, isChiitoitsu);
+        // 2. 符の計算 (役判定で採用した解釈の符)
+        const fu = this.calculateFu(winner, agariTile, isRon, finalHand, isPinfu, isChiitoitsu, decomposition);
         
-        // 3. 符と翻数から点数表を参照して点数を決定
-        const result = this.lookupScore(winner.isParent, fu, han, isRon);
+        // 3. 役満の倍数を決定
+        // 役満は複合した数だけ倍になる。数え役満 (通常役で13翻以上) は設定により役満または三倍満
+        let yakumanMultiplier = yakumanResult ? yakumanResult.yakumanMultiplier : 0;
+        let scoringHan = han;
+        if (!yakumanResult && han >= 13) {
+            if (this._getRule(context, 'kazoeYakuman')) {
+                yakumanMultiplier = 1;
+            } else {
+                scoringHan = 12; // 三倍満止まり
+            }
+        }
+
+        // 4. 符と翻数から点数表を参照して点数を決定
+        const result = this.lookupScore(winner.isParent, fu, scoringHan, isRon, yakumanMultiplier, this._getRule(context, 'kiriageMangan'));
+
+        // 5. 3人麻雀のツモ和了の支払い方式を適用
+        const model = this._getRule(context, 'tsumoPaymentModel');
+        const payments = isRon
+            ? { ...result.payments }
+            : this.applyTsumoPaymentModel(winner.isParent, result.basePoints, model);
 
-        // 4. 積み棒(本場)の加算
-        // 積み棒はロン: 300点 * 本場数、ツモ: 100点 * 3人 * 本場数
-        // 3人麻雀ではツモの支払い人数が2人になる場合があるため注意が必要だが、ここでは一般的な4人麻雀のルールに倣い調整
+        const totalScore = this._sumPayments(winner.isParent, isRon, payments);
+
+        // 6. 積み棒(本場)の加算 (ツモの場合は支払い方式に応じて支払う2人で分担する)
+        const honbaPayments = this.calculateHonbaPayments(winner.isParent, isRon, context.honba || 0,
+            this._getRule(context, 'honbaPoints'), model);
+        for (const payer of Object.keys(payments)) {
+            payments[payer] += honbaPayments[payer];
+        }
         
-        // 5. リーチ棒の加算 (供託は GameState で管理)
+        // 7. リーチ棒の加算 (供託は GameState で管理)
         
         return {
-            totalScore: result.score,
+            totalScore: totalScore, // 和了点 (積み棒・供託を除く)
             han: han,
             fu: fu,
             yaku: yaku,
-            tsumoBase: result.tsumoBase // ツモ和了時の親や子の支払い基準点
+            yakumanMultiplier: yakumanMultiplier,
+            basePoints: result.basePoints,
+            payments: payments, // 支払う人の立場ごとの支払額 (積み棒を含む)
+            honbaBonus: this._sumPayments(winner.isParent, isRon, honbaPayments)
         };
     }
+
+    // --- 3人麻雀の支払い ---
+
+    /**
+     * 3人麻雀のツモ和了の支払い方式を適用する
+     * 4人麻雀なら北家が支払うはずの1人分 (不在の席の分) の扱いが方式によって異なる
+     * - 'tsumoSon'  : 不在の1人分は支払われない (ツモ損)
+     * - 'northSplit': 不在の1人分を支払う2人で折半する (北家折半)
+     * - 'flat'      : ロン和了と同じ点数を2人で支払う (子の和了は親:子 = 2:1)
+     * @param {boolean} isParent - 和了者が親かどうか
+     * @param {number} basePoints - 基本点
+     * @param {string} model - 支払い方式 (GameConfig.tsumoPaymentModel)
+     * @returns {{parent?: number, child?: number}} 親・子1人あたりの支払額 (親の和了は child のみ)
+     */
+    static applyTsumoPaymentModel(isParent, basePoints, model) {
+        switch (model) {
+            case 'northSplit': {
+                // 不在の席 (子) の支払い分を2人で折半
+                const missingShare = basePoints * (isParent ? 2 : 1);
+                if (isParent) {
+                    return { child: this._roundUp100(basePoints * 2 + missingShare / 2) };
+                }
+                return {
+                    parent: this._roundUp100(basePoints * 2 + missingShare / 2),
+                    child: this._roundUp100(basePoints + missingShare / 2)
+                };
+            }
+            case 'flat': {
+                // ロン和了の点数 (100点単位に切り上げ済み) を、合計がちょうどその点数になるよう2人で分担
+                // 親の和了は子2人で折半 (50点単位になることがある)、子の和了は子の分を切り上げて残りを親が支払う
+                const ronTotal = this._roundUp100(basePoints * (isParent ? 6 : 4));
+                if (isParent) {
+                    return { child: ronTotal / 2 };
+                }
+                const childShare = this._roundUp100(ronTotal / 3);
+                return {
+                    parent: ronTotal - childShare,
+                    child: childShare
+                };
+            }
+            case 'tsumoSon':
+            default:
+                if (isParent) {
+                    return { child: this._roundUp100(basePoints * 2) };
+                }
+                return {
+                    parent: this._roundUp100(basePoints * 2),
+                    child: this._roundUp100(basePoints)
+                };
+        }
+    }
+
+    /**
+     * 積み棒 (本場) の支払額を計算する
+     * 1本場あたりの額は設定による (4人麻雀と同じ300点、3人麻雀で多い1000点など)。
+     * ロンは放銃者が全額を支払う。ツモは支払い方式 (applyTsumoPaymentModel() と同じ) ごとに支払う2人で分担し、
+     * 和了者はどの方式でも設定どおりの額を受け取る
+     * - 'tsumoSon'  : 2人で折半 (ツモ損は和了点だけに適用し、積み棒は減らさない)
+     * - 'northSplit': 不在の1人分を含めて2人で折半
+     * - 'flat'      : ロンと同じ額を和了点と同じ割合で分担 (子の和了は親:子 = 2:1、子の分を100点単位に切り上げて残りを親が支払う)
+     * (折半は受け取りが設定額からずれないよう、100点単位に丸めない)
+     * @param {boolean} isParent - 和了者が親かどうか
+     * @param {boolean} isRon - ロン和了かどうか
+     * @param {number} honba - 本場数
+     * @param {number} [honbaPoints=300] - 1本場あたりの積み棒の合計点 (GameConfig.honbaPoints)
+     * @param {string} [model='tsumoSon'] - 支払い方式 (GameConfig.tsumoPaymentModel)
+     * @returns {{ron?: number, parent?: number, child?: number}} 支払う人の立場ごとの支払額 (親の和了のツモは child のみ)
+     */
+    static calculateHonbaPayments(isParent, isRon, honba, honbaPoints = 300, model = 'tsumoSon') {
+        const total = honbaPoints * honba;
+        if (isRon) {
+            return { ron: total };
+        }
+        if (isParent) {
+            return { child: total / 2 };
+        }
+        if (model === 'flat') {
+            const childShare = this._roundUp100(total / 3);
+            return { parent: total - childShare, child: childShare };
+        }
+        return { parent: total / 2, child: total / 2 };
+    }
+
+    /**
+     * 支払う人の立場ごとの支払額から、和了者の受け取り合計を求める
+     * (3人麻雀では、子の和了は親1人・子1人、親の和了は子2人が支払う)
+     */
+    static _sumPayments(isParent, isRon, payments) {
+        if (isRon) return payments.ron || 0;
+        if (isParent) return (payments.child || 0) * 2;
+        return (payments.parent || 0) + (payments.child || 0);
+    }
     
     // --- 符計算ロジック (点数計算-3.jpgに基づく) ---
 
     /**
      * 符を計算するメインロジック
+     * @param {Object} [decomposition] - 採用する手牌の解釈 (Judge.decompose の要素)。省略時は最も符が高い解釈を採用する
      */
-    static calculateFu(winner, agariTile, isRon, finalHand, isPinfu, isChiitoitsu) {
+    static calculateFu(winner, agariTile, isRon, finalHand, isPinfu, isChiitoitsu, decomposition = null) {
         let fu = 0;
         
         // 1. 例外符の処理
@@ -116,28 +301,24 @@ export class Scorer {
         fu += FU_TABLE.BASE;
 
         // 3. 門前加符 (ロン和了で門前の場合 +10)
-        // 鳴きがないかを別途チェックする必要があるが、ここでは簡易的に
-        const isMenzen = winner.naki.length === 0;
+        // 暗槓は門前を崩さない
+        const isMenzen = winner.naki.every(meld => meld.type === 'ankan');
         if (isMenzen && isRon) {
             fu += FU_TABLE.AGARI.RON_MENZEN;
         }
 
-        // 4. 面子符 (明刻/暗刻/明槓/暗槓)
-        // この処理はJudge.jsで分解された面子情報に基づいて行うべきだが、ここではダミー
-        // 例: 暗刻の幺九牌があれば +32
-        fu += this._calculateMentsuFu(finalHand, winner.naki); // (仮の処理)
-
-        // 5. 雀頭符 (自風/場風/三元牌 +2)
-        fu += this._calculateAtamaFu(winner);
-        
-        // 6. 待ちの形符 (+2)
-        // 待ちの形（両面待ち、シャンポン待ちなど）を特定し、単騎、嵌張、辺張であれば +2
-        // 例: const machiType = Judge.getMachiType(finalHand, agariTile);
-        // if (machiType === 'tanki' || machiType === 'kanchan' || machiType === 'penchan') {
-        //     fu += FU_TABLE.MACH;
-        // }
-        // 簡易的に単騎待ちを仮定して加算
-        fu += FU_TABLE.MACH; 
+        // 4〜6. 面子符・雀頭符・待ちの形符
+        // Judge.js で分解した全ての解釈のうち、最も符が高くなるものを採用する
+        const handWithoutAgari = this._removeAgariTile(finalHand, agariTile);
+        const decompositions = decomposition
+            ? [decomposition]
+            : Judge.decompose(handWithoutAgari, winner.naki, agariTile, isRon);
+        const partFu = decompositions.map(d =>
+            this._calculateMentsuFu(d.mentsu)      // 4. 面子符 (明刻/暗刻/明槓/暗槓)
+            + this._calculateAtamaFu(winner, d.pair) // 5. 雀頭符 (自風/場風/三元牌 +2)
+            + this._calculateMachiFu(d.machi)      // 6. 待ちの形符 (単騎、嵌張、辺張 +2)
+        );
+        fu += partFu.length > 0 ? Math.max(...partFu) : 0;
         
         // 7. 和了方符 (ツモ和了で平和以外なら +2)
         if (!isRon && !isPinfu) {
@@ -156,127 +337,654 @@ export class Scorer {
     }
 
     /**
-     * 点数早見表を参照し、点数を決定する
+     * 符と翻数から点数を決定する
+     * 支払いは支払う人の立場ごとの金額で返す (3人麻雀でも4人麻雀でも同じ基準)
+     * score は3人麻雀で実際に支払う2人分の合計 (ツモ損の場合の受け取り額)
+     * @param {boolean} isParent - 和了者が親かどうか
+     * @param {number} fu - 符
+     * @param {number} han - 翻数
+     * @param {boolean} isRon - ロン和了かどうか
+     * @param {number} [yakumanMultiplier] - 役満の倍数 (0 = 役満ではない)
+     * @param {boolean} [isKiriage] - 切り上げ満貫を採用するか
+     * @returns {{score: number, basePoints: number, payments: {ron?: number, parent?: number, child?: number}}}
+     *          payments.ron: 放銃者の支払い / payments.parent, payments.child: ツモ時の親・子1人あたりの支払い
      */
-    static lookupScore(isParent, fu, han, isRon) {
-        const SCORE_MAP = isParent ? SCORE_PARENT_MAP : SCORE_CHILD_MAP;
-        const LIMIT_MAP = isParent ? LIMIT_PARENT_MAP : LIMIT_CHILD_MAP;
-        
-        // 1. 満貫未満の処理 (4翻以下)
-        if (han <= 4) {
-            const fuData = SCORE_MAP[fu];
-            if (fuData && fuData[han]) {
-                const scoreArr = fuData[han];
-                
-                if (isRon) {
-                    // ロン点: 配列の最後の値
-                    const score = scoreArr.length === 3 ? scoreArr[2] : scoreArr[0];
-                    return { score: score, tsumoBase: 0 };
-                } else {
-                    // ツモ点: 配列の最初の値 (親の支払い/子の支払い)
-                    const base = scoreArr[0]; 
-                    // 3人麻雀では子の支払いが異なるが、ここでは子の支払い基準点を返す
-                    return { score: base * 4, tsumoBase: base }; // 総点 = base * 4 (子3人分 + 親1人分)
-                }
+    static lookupScore(isParent, fu, han, isRon, yakumanMultiplier = 0, isKiriage = false) {
+        const basePoints = this.calculateBasePoints(fu, han, yakumanMultiplier, isKiriage);
+
+        // 1. ロン和了 (放銃者が全額を支払う)
+        if (isRon) {
+            const ron = this._roundUp100(basePoints * (isParent ? 6 : 4));
+            return { score: ron, basePoints: basePoints, payments: { ron } };
+        }
+
+        // 2. 親のツモ和了 (子が基本点 × 2 ずつ支払う)
+        if (isParent) {
+            const child = this._roundUp100(basePoints * 2);
+            return { score: child * 2, basePoints: basePoints, payments: { child } };
+        }
+
+        // 3. 子のツモ和了 (親が基本点 × 2、子が基本点 × 1 を支払う)
+        const parent = this._roundUp100(basePoints * 2);
+        const child = this._roundUp100(basePoints);
+        return { score: parent + child, basePoints: basePoints, payments: { parent, child } };
+    }
+
+    /**
+     * 基本点を計算する
+     * @param {number} fu - 符
+     * @param {number} han - 翻数
+     * @param {number} [yakumanMultiplier] - 役満の倍数
+     * @param {boolean} [isKiriage] - 切り上げ満貫を採用するか
+     * @returns {number}
+     */
+    static calculateBasePoints(fu, han, yakumanMultiplier = 0, isKiriage = false) {
+        // 1. 役満
+        if (yakumanMultiplier > 0) return LIMIT_BASE_POINTS.YAKUMAN * yakumanMultiplier;
+
+        // 2. 跳満以上は翻数のみで決まる
+        if (han >= 11) return LIMIT_BASE_POINTS.SANBAIMAN;
+        if (han >= 8) return LIMIT_BASE_POINTS.BAIMAN;
+        if (han >= 6) return LIMIT_BASE_POINTS.HANEMAN;
+        if (han >= 5) return LIMIT_BASE_POINTS.MANGAN;
+
+        // 3. 4翻以下は符から計算し、満貫で頭打ち
+        const basePoints = fu * Math.pow(2, han + 2);
+        if (basePoints >= LIMIT_BASE_POINTS.MANGAN) return LIMIT_BASE_POINTS.MANGAN;
+        if (isKiriage && basePoints >= KIRIAGE_BASE_POINTS) return LIMIT_BASE_POINTS.MANGAN;
+
+        return basePoints;
+    }
+
+    /**
+     * 100点未満を切り上げる
+     */
+    static _roundUp100(points) {
+        return Math.ceil(points / 100) * 100;
+    }
+    
+    // --- 符計算の補助関数 (簡易版) ---
+
+    /**
+     * 和了牌を含む手牌から和了牌を1枚取り除く
+     * @param {Tile[]} finalHand - 和了牌を含む手牌
+     * @param {Tile} agariTile - 和了牌
+     * @returns {Tile[]}
+     */
+    static _removeAgariTile(finalHand, agariTile) {
+        const index = finalHand.findIndex(t => t.uniqueId === agariTile.uniqueId);
+        return finalHand.filter((_, i) => i !== index);
+    }
+
+    /**
+     * 役満を判定する
+     * 手牌の解釈ごとに役満を判定し、最も倍数が高いものを採用する。複数の役満は倍数を合計する
+     * @returns {{han: number, yaku: Array<{name: string, han: number, yakuman: number}>, yakumanMultiplier: number, isPinfu: boolean, isChiitoitsu: boolean, decomposition: Object} | null} 役満がなければ null
+     */
+    static _calculateYakuman(winner, agariTile, isRon, finalHand, context = {}) {
+        const isMenzen = winner.naki.every(meld => meld.type === 'ankan');
+        const handWithoutAgari = this._removeAgariTile(finalHand, agariTile);
+        const allCodes = [...finalHand, ...winner.naki.flatMap(meld => meld.tiles)].map(t => t.toNormalCode());
+
+        // 1. 手牌の解釈に関係しない役満
+        const common = [];
+        const add = (list, key) => this._pushYakuman(list, YAKUMAN[key], context);
+
+        if (context.isFirstTurn && !isRon) {
+            add(common, winner.isParent ? 'TENHOU' : 'CHIIHOU');
+        }
+        if (allCodes.every(code => code[0] === 'z')) add(common, 'TSUUIISOU');
+        if (allCodes.every(code => code[0] === '1' || code[0] === '9')) add(common, 'CHINROUTOU');
+        if (allCodes.every(code => GREEN_CODES.includes(code))) add(common, 'RYUUIISOU');
+
+        if (isMenzen && winner.naki.length === 0) {
+            // 国士無双 (和了前に13種全てが揃っていれば十三面待ち)
+            if (Shanten.calculateKokushi(Shanten.toCounts(finalHand)) === -1) {
+                const isThirteenWait = new Set(handWithoutAgari.map(t => t.toNormalCode())).size === 13;
+                add(common, isThirteenWait ? 'KOKUSHI_13' : 'KOKUSHI');
             }
+
+            // 九蓮宝燈 (和了前が 1112345678999 の形なら純正)
+            const chuuren = this._checkChuuren(finalHand, handWithoutAgari);
+            if (chuuren) add(common, chuuren === 'junsei' ? 'JUNSEI_CHUUREN' : 'CHUUREN');
         }
-        
-        // 2. 満貫以上の処理 (5翻以上)
-        if (han >= 13) {
-            return { score: LIMIT_MAP[13], tsumoBase: LIMIT_MAP[13] / 4 }; // 役満
+
+        // 2. 手牌の解釈ごとの役満 (四暗刻・大三元・四喜和・四槓子)
+        let best = common;
+        for (const d of Judge.decompose(handWithoutAgari, winner.naki, agariTile, isRon)) {
+            const yaku = [...common];
+            const triplets = d.mentsu.filter(m => m.type !== 'shuntsu');
+            const windTriplets = triplets.filter(m => WIND_CODES.includes(m.code)).length;
+
+            if (triplets.filter(m => !m.isOpen).length === 4) {
+                add(yaku, d.machi === 'tanki' ? 'SUUANKOU_TANKI' : 'SUUANKOU');
+            }
+            if (triplets.filter(m => DRAGON_CODES.includes(m.code)).length === 3) add(yaku, 'DAISANGEN');
+            if (windTriplets === 4) {
+                add(yaku, 'DAISUUSHII');
+            } else if (windTriplets === 3 && WIND_CODES.includes(d.pair)) {
+                add(yaku, 'SHOUSUUSHII');
+            }
+            if (d.mentsu.filter(m => m.type === 'kantsu').length === 4) add(yaku, 'SUUKANTSU');
+
+            if (this._sumYakuman(yaku) > this._sumYakuman(best)) {
+                best = yaku;
+            }
         }
-        if (han >= 11) {
-            return { score: LIMIT_MAP[11], tsumoBase: LIMIT_MAP[11] / 4 }; // 三倍満
+
+        const multiplier = this._sumYakuman(best);
+        if (multiplier === 0) return null;
+
+        return {
+            han: 13 * multiplier,
+            yaku: best,
+            yakumanMultiplier: multiplier,
+            isPinfu: false,
+            isChiitoitsu: false,
+            decomposition: null
+        };
+    }
+
+    /**
+     * 九蓮宝燈を判定する
+     * 同じ種類の数牌のみで 1112345678999 + 1枚 の形
+     * @param {Tile[]} finalHand - 和了牌を含む手牌
+     * @param {Tile[]} handWithoutAgari - 和了牌を含まない手牌
+     * @returns {string | null} 'junsei' (純正・九面待ち), 'normal', または null
+     */
+    static _checkChuuren(finalHand, handWithoutAgari) {
+        const suits = new Set(finalHand.map(t => t.type));
+        if (suits.size !== 1 || finalHand[0].type === 'z') return null;
+
+        const base = [3, 1, 1, 1, 1, 1, 1, 1, 3];
+        const countByValue = (tiles) => {
+            const counts = new Array(9).fill(0);
+            tiles.forEach(t => counts[t.value - 1]++);
+            return counts;
+        };
+
+        const finalCounts = countByValue(finalHand);
+        if (!base.every((need, i) => finalCounts[i] >= need)) return null;
+
+        const waitCounts = countByValue(handWithoutAgari);
+        return base.every((need, i) => waitCounts[i] === need) ? 'junsei' : 'normal';
+    }
+
+    /**
+     * 役満を一覧に追加する
+     * ダブル役満を認めない設定では、ダブル役満も1倍として扱う
+     */
+    static _pushYakuman(yaku, def, context) {
+        const multiplier = this._getRule(context, 'doubleYakuman') ? def.multiplier : 1;
+        yaku.push({ name: def.name, han: 13 * multiplier, yakuman: multiplier });
+    }
+
+    /**
+     * 役満の倍数を合計する
+     */
+    static _sumYakuman(yaku) {
+        return yaku.reduce((sum, y) => sum + y.yakuman, 0);
+    }
+
+    /**
+     * ルール設定を取得する (設定が渡されていなければ GameConfig の既定値)
+     * @param {Object} context - 和了時の状況
+     * @param {string} key - GameConfig のプロパティ名
+     * @returns {*}
+     */
+    static _getRule(context, key) {
+        const config = context.config || DEFAULT_CONFIG;
+        return config[key];
+    }
+
+    /**
+     * 役の判定と翻数の計算を行う
+     * 手牌の解釈 (面子分解・七対子) ごとに役を判定し、最も翻数 (同じなら符) が高いものを採用する
+     * ドラは役がある場合のみ加算する
+     * @returns {{han: number, yaku: Array<{name: string, han: number}>, isPinfu: boolean, isChiitoitsu: boolean, decomposition: Object}}
+     */
+    static _calculateYakuAndHan(winner, agariTile, isRon, finalHand, doraIndicators, context = {}) {
+        const isMenzen = winner.naki.every(meld => meld.type === 'ankan');
+        const handWithoutAgari = this._removeAgariTile(finalHand, agariTile);
+
+        // 1. 解釈ごとの役の候補を作る
+        const candidates = Judge.decompose(handWithoutAgari, winner.naki, agariTile, isRon).map(d => {
+            const yaku = this._evaluateYaku(winner, d, isRon, isMenzen, context);
+            const isPinfu = yaku.some(y => y.name === YAKU_HAN.PINFU.name);
+            return {
+                yaku,
+                isPinfu,
+                isChiitoitsu: false,
+                decomposition: d,
+                fu: this.calculateFu(winner, agariTile, isRon, finalHand, isPinfu, false, d)
+            };
+        });
+
+        if (isMenzen && Judge.isChiitoitsu(finalHand)) {
+            candidates.push({
+                yaku: this._evaluateChiitoitsuYaku(winner, finalHand, isRon, context),
+                isPinfu: false,
+                isChiitoitsu: true,
+                decomposition: null,
+                fu: FU_EXCEPTIONS.CHITOITSU
+            });
         }
-        if (han >= 8) {
-            return { score: LIMIT_MAP[8], tsumoBase: LIMIT_MAP[8] / 4 };   // 倍満
+
+        // 2. 最も高い解釈を採用する
+        let best = null;
+        let bestHan = 0;
+        for (const candidate of candidates) {
+            const han = this._sumHan(candidate.yaku);
+            if (!best || han > bestHan || (han === bestHan && candidate.fu > best.fu)) {
+                best = candidate;
+                bestHan = han;
+            }
         }
-        if (han >= 6) {
-            return { score: LIMIT_MAP[6], tsumoBase: LIMIT_MAP[6] / 4 };   // 跳満
+
+        // 役がなければ和了できない (ドラのみは不可)
+        if (!best || bestHan === 0) {
+            return { han: 0, yaku: [], isPinfu: false, isChiitoitsu: false, decomposition: null };
         }
-        if (han >= 5) {
-            return { score: LIMIT_MAP[5], tsumoBase: LIMIT_MAP[5] / 4 };   // 満貫
+
+        // 3. ドラの計算 (鳴いた牌も含む。抜きドラは1枚につき1翻)
+        const allTiles = [...finalHand, ...winner.naki.flatMap(meld => meld.tiles)];
+        const doraYaku = [
+            { name: 'ドラ', han: this._calculateDora(allTiles, doraIndicators) },
+            { name: '赤ドラ', han: allTiles.filter(t => t.isRed).length },
+            { name: '抜きドラ', han: this._calculateNukiDora(winner.nukiDora, doraIndicators) },
+            { name: '裏ドラ', han: this._calculateUraDora(winner, allTiles, context.uraDoraIndicators) }
+        ].filter(y => y.han > 0);
+
+        const yaku = [...best.yaku, ...doraYaku];
+        return {
+            han: this._sumHan(yaku),
+            yaku: yaku,
+            isPinfu: best.isPinfu,
+            isChiitoitsu: best.isChiitoitsu,
+            decomposition: best.decomposition
+        };
+    }
+
+    /**
+     * 面子手 (4面子1雀頭) の役を判定する
+     * @param {Player} winner - 和了者
+     * @param {Object} decomposition - Judge.decompose で分解された手牌の解釈
+     * @param {boolean} isRon - ロン和了かどうか
+     * @param {boolean} isMenzen - 門前かどうか
+     * @param {Object} context - 和了時の状況
+     * @returns {Array<{name: string, han: number}>}
+     */
+    static _evaluateYaku(winner, decomposition, isRon, isMenzen, context) {
+        const { pair, mentsu, machi } = decomposition;
+        const yaku = this._evaluateSituationalYaku(winner, isRon, isMenzen, context);
+        const add = (key) => this._pushYaku(yaku, YAKU_HAN[key], isMenzen);
+
+        const shuntsu = mentsu.filter(m => m.type === 'shuntsu');
+        const triplets = mentsu.filter(m => m.type !== 'shuntsu'); // 刻子と槓子
+        const kinds = this._expandDecompositionCodes(decomposition);
+
+        // 1. 断幺九・混一色・清一色・混老頭 (使われている牌の種類で決まる役)
+        yaku.push(...this._evaluateTileKindYaku(kinds, isMenzen));
+
+        // 2. 平和 (門前・全て順子・雀頭が役牌でない・両面待ち)
+        if (isMenzen && shuntsu.length === 4 && machi === 'ryanmen'
+            && this._calculateAtamaFu(winner, pair) === 0 && !this._isNorthYakuhai(pair, context)) {
+            add('PINFU');
         }
-        
-        // 予期せぬエラーまたはデータ不足
-        return { score: 0, tsumoBase: 0 };
+
+        // 3. 一盃口・二盃口 (門前のみ)
+        if (isMenzen) {
+            const peikou = this._countPeikou(shuntsu);
+            if (peikou === 2) add('RYANPEIKOU');
+            else if (peikou === 1) add('IIPEIKOU');
+        }
+
+        // 4. 役牌 (三元牌・自風・場風・北)
+        for (const m of triplets) {
+            yaku.push(...this._evaluateYakuhai(winner, m.code, context));
+        }
+
+        // 5. 三色同順・三色同刻・一気通貫
+        if (this._hasSanshoku(shuntsu)) add('SANSHOKU');
+        if (this._hasSanshoku(triplets)) add('SANSHOKU_DOUKOU');
+        if (this._hasIttsuu(shuntsu)) add('ITTSUU');
+
+        // 6. 混全帯幺九・純全帯幺九 (順子を含む場合のみ。含まなければ混老頭)
+        const allGroupsYaochu = mentsu.every(m => this._groupHasYaochu(m)) && this._isYaochuCode(pair);
+        if (allGroupsYaochu && shuntsu.length > 0) {
+            const hasHonor = kinds.some(code => code[0] === 'z');
+            add(hasHonor ? 'CHANTA' : 'JUNCHAN');
+        }
+
+        // 7. 対々和・三暗刻・三槓子
+        if (triplets.length === 4) add('TOITOI');
+        if (triplets.filter(m => !m.isOpen).length === 3) add('SANANKOU');
+        if (mentsu.filter(m => m.type === 'kantsu').length === 3) add('SANKANTSU');
+
+        // 8. 小三元 (三元牌の雀頭 + 三元牌の刻子2つ)
+        if (DRAGON_CODES.includes(pair) && triplets.filter(m => DRAGON_CODES.includes(m.code)).length === 2) {
+            add('SHOUSANGEN');
+        }
+
+        return yaku;
     }
-    
-    // --- 符計算の補助関数 (簡易版) ---
 
     /**
-     * 役の判定と翻数の計算を行う (Judge.jsからの呼び出しを想定)
-     * @returns {{han: number, yaku: string[], isPinfu: boolean, isChiitoitsu: boolean}}
+     * 七対子の役を判定する (七対子と複合しうる役のみ)
+     * @returns {Array<{name: string, han: number}>}
      */
-    static _calculateYakuAndHan(winner, agariTile, isRon, finalHand, doraIndicators) {
-        // ここにロン/ツモ、門前/副底を考慮した全ての役判定ロジックが入る
-        // 例: Judge.checkTanyao(finalHand), Judge.checkPinfu(finalHand, agariTile, winner.naki)
-        
-        // 役満は13翻以上として扱う。
-        const han = 1; // ダミー: 最低1翻は確保されていると仮定
-        const yaku = ["立直"]; // ダミー
-        const isPinfu = false; // ダミー
-        const isChiitoitsu = false; // ダミー
-        
-        // ドラの計算
-        const doraHan = this._calculateDora(finalHand, doraIndicators);
-        
-        return { han: han + doraHan, yaku: yaku, isPinfu: isPinfu, isChiitoitsu: isChiitoitsu };
+    static _evaluateChiitoitsuYaku(winner, finalHand, isRon, context) {
+        const yaku = this._evaluateSituationalYaku(winner, isRon, true, context);
+        this._pushYaku(yaku, YAKU_HAN.CHIITOITSU, true);
+        yaku.push(...this._evaluateTileKindYaku(finalHand.map(t => t.toNormalCode()), true));
+        return yaku;
+    }
+
+    /**
+     * 手牌の形に関係なく、和了時の状況で決まる役を判定する
+     * (立直・ダブル立直・一発・門前清自摸和・海底/河底・嶺上開花・槍槓)
+     * @returns {Array<{name: string, han: number}>}
+     */
+    static _evaluateSituationalYaku(winner, isRon, isMenzen, context) {
+        const yaku = [];
+        const add = (key) => this._pushYaku(yaku, YAKU_HAN[key], isMenzen);
+
+        if (winner.isDaburi) {
+            add('DOUBLE_RIICHI');
+        } else if (winner.isRiichi) {
+            add('RIICHI');
+        }
+        if (winner.isRiichi && winner.isIppatsu) add('IPPATSU');
+        if (!isRon) add('MENZEN_TSUMO');
+
+        // 嶺上牌でのツモは海底摸月にならない
+        if (context.isHaitei && !context.isRinshan) {
+            add(isRon ? 'HOUTEI' : 'HAITEI');
+        }
+        if (context.isRinshan && !isRon) add('RINSHAN');
+        if (context.isChankan && isRon) add('CHANKAN');
+
+        return yaku;
+    }
+
+    /**
+     * 使われている牌の種類で決まる役を判定する (断幺九・混一色・清一色・混老頭)
+     * @param {string[]} kinds - 手牌 (鳴きを含む) の牌コード
+     * @param {boolean} isMenzen - 門前かどうか
+     * @returns {Array<{name: string, han: number}>}
+     */
+    static _evaluateTileKindYaku(kinds, isMenzen) {
+        const yaku = [];
+        const add = (key) => this._pushYaku(yaku, YAKU_HAN[key], isMenzen);
+
+        const hasHonor = kinds.some(code => code[0] === 'z');
+        const suits = new Set(kinds.filter(code => code[0] !== 'z').map(code => code.slice(-1)));
+
+        if (kinds.every(code => !this._isYaochuCode(code))) add('TANYAO');
+
+        if (suits.size === 1) {
+            add(hasHonor ? 'HONITSU' : 'CHINITSU');
+        }
+
+        // 字牌と老頭牌の両方を含む場合のみ (字一色・清老頭は役満)
+        if (kinds.every(code => this._isYaochuCode(code)) && hasHonor && suits.size > 0) {
+            add('HONROUTOU');
+        }
+
+        return yaku;
+    }
+
+    /**
+     * 刻子 (槓子) の役牌を判定する
+     * @param {Player} winner - 和了者
+     * @param {string} code - 刻子の牌コード
+     * @param {Object} context - 和了時の状況 (北の扱いの設定)
+     * @returns {Array<{name: string, han: number}>}
+     */
+    static _evaluateYakuhai(winner, code, context) {
+        const yaku = [];
+
+        if (DRAGON_CODES.includes(code)) {
+            yaku.push({ name: `役牌 ${YAKUHAI_NAMES[code]}`, han: 1 });
+        }
+        if (code === WIND_TILE_CODES[winner.seatWind]) {
+            yaku.push({ name: `自風 ${YAKUHAI_NAMES[code]}`, han: 1 });
+        }
+        if (code === WIND_TILE_CODES[winner.roundWind]) {
+            yaku.push({ name: `場風 ${YAKUHAI_NAMES[code]}`, han: 1 });
+        }
+        if (this._isNorthYakuhai(code, context)) {
+            yaku.push({ name: `役牌 ${YAKUHAI_NAMES[code]}`, han: 1 });
+        }
+
+        return yaku;
+    }
+
+    /**
+     * 北を役牌 (場風扱い) とするルールで、その牌が北かどうか
+     */
+    static _isNorthYakuhai(code, context) {
+        return Boolean(context.config && context.config.northAsYakuhai) && code === NORTH_CODE;
+    }
+
+    /**
+     * 役の一覧に翻数を付けて追加する (副露で不成立の役は追加しない)
+     */
+    static _pushYaku(yaku, def, isMenzen) {
+        const han = isMenzen ? def.closed : def.open;
+        if (han > 0) {
+            yaku.push({ name: def.name, han: han });
+        }
+    }
+
+    /**
+     * 役の一覧の翻数を合計する
+     */
+    static _sumHan(yaku) {
+        return yaku.reduce((sum, y) => sum + y.han, 0);
+    }
+
+    /**
+     * 同じ順子の組 (盃口) の数を数える
+     * @returns {number} 0, 1 (一盃口), 2 (二盃口)
+     */
+    static _countPeikou(shuntsu) {
+        const counts = new Map();
+        shuntsu.forEach(m => counts.set(m.code, (counts.get(m.code) || 0) + 1));
+
+        let peikou = 0;
+        for (const count of counts.values()) {
+            peikou += Math.floor(count / 2);
+        }
+        return peikou;
+    }
+
+    /**
+     * 萬子・筒子・索子で同じ数字の面子が揃っているか (三色同順 / 三色同刻)
+     * @param {Array<{code: string}>} groups - 順子 (または刻子) の配列
+     * @returns {boolean}
+     */
+    static _hasSanshoku(groups) {
+        const suitsByNumber = new Map();
+        for (const m of groups) {
+            if (m.code[0] === 'z') continue;
+            const number = m.code[0];
+            if (!suitsByNumber.has(number)) suitsByNumber.set(number, new Set());
+            suitsByNumber.get(number).add(m.code.slice(-1));
+        }
+        return Array.from(suitsByNumber.values()).some(suits => suits.size === 3);
+    }
+
+    /**
+     * 同じ種類で 123・456・789 の順子が揃っているか (一気通貫)
+     */
+    static _hasIttsuu(shuntsu) {
+        const codes = new Set(shuntsu.map(m => m.code));
+        return ['m', 'p', 's'].some(suit => codes.has(`1${suit}`) && codes.has(`4${suit}`) && codes.has(`7${suit}`));
+    }
+
+    /**
+     * 面子に幺九牌が含まれているか (混全帯幺九・純全帯幺九の判定用)
+     */
+    static _groupHasYaochu(m) {
+        if (m.type === 'shuntsu') {
+            return m.code[0] === '1' || m.code[0] === '7';
+        }
+        return this._isYaochuCode(m.code);
+    }
+
+    /**
+     * 手牌の解釈から使われている牌コードを全て展開する (順子は3種類、刻子は1種類)
+     * @returns {string[]}
+     */
+    static _expandDecompositionCodes(decomposition) {
+        const codes = [decomposition.pair];
+        for (const m of decomposition.mentsu) {
+            if (m.type === 'shuntsu') {
+                const value = parseInt(m.code[0]);
+                const suit = m.code.slice(-1);
+                codes.push(m.code, `${value + 1}${suit}`, `${value + 2}${suit}`);
+            } else {
+                codes.push(m.code);
+            }
+        }
+        return codes;
     }
     
     /**
      * 面子符（刻子、槓子）を計算する
-     * ※ Judge.jsで面子が分解された後で呼び出す必要がある
+     * @param {Array<{type: string, code: string, isOpen: boolean}>} mentsu - Judge.decompose で分解された面子
+     * @returns {number}
      */
-    static _calculateMentsuFu(finalHand, naki) {
+    static _calculateMentsuFu(mentsu) {
         let fu = 0;
-        // 面子の解析ロジックが未実装のため、ダミーとして暗刻の幺九牌が1組あったと仮定
-        // fu += FU_TABLE.KAN.YAOCHU.ANN; // 暗槓の幺九牌
+
+        for (const m of mentsu) {
+            // 順子は符がつかない
+            if (m.type === 'shuntsu') continue;
+
+            const table = m.type === 'kantsu' ? FU_TABLE.KAN : FU_TABLE.MENTSU;
+            const kind = this._isYaochuCode(m.code) ? table.YAOCHU : table.NORMAL;
+            fu += m.isOpen ? kind.MEIN : kind.ANN;
+        }
+
         return fu;
     }
 
     /**
      * 雀頭符を計算する
+     * 雀頭が自風牌かつ場風牌であれば+4（自風+2, 場風+2）
+     * 三元牌（白, 發, 中）の雀頭であれば +2
+     * @param {Player} player - 和了者 (自風・場風の判定用)
+     * @param {string} pairCode - 雀頭の牌コード
+     * @returns {number}
      */
-    static _calculateAtamaFu(player) {
+    static _calculateAtamaFu(player, pairCode) {
         let fu = 0;
-        // 雀頭の牌が何であるかを Judge.js から受け取る必要があるが、ここでは風牌のチェックのみ
-        // 雀頭が自風牌かつ場風牌であれば+4（自風+2, 場風+2）
-        
-        // 三元牌（白, 發, 中）の雀頭であれば +2
-        
+
+        if (pairCode === WIND_TILE_CODES[player.seatWind]) {
+            fu += FU_TABLE.ATAMA;
+        }
+        if (pairCode === WIND_TILE_CODES[player.roundWind]) {
+            fu += FU_TABLE.ATAMA;
+        }
+        if (DRAGON_CODES.includes(pairCode)) {
+            fu += FU_TABLE.ATAMA;
+        }
+
         return fu;
     }
 
     /**
-     * ドラ翻数を計算する
+     * 待ちの形符を計算する (単騎、嵌張、辺張であれば +2)
+     * @param {string} machi - 待ちの形
+     * @returns {number}
+     */
+    static _calculateMachiFu(machi) {
+        return (machi === 'tanki' || machi === 'kanchan' || machi === 'penchan') ? FU_TABLE.MACH : 0;
+    }
+
+    /**
+     * 牌コードが幺九牌 (1, 9, 字牌) かどうか
+     * @param {string} code - 牌コード
+     * @returns {boolean}
+     */
+    static _isYaochuCode(code) {
+        return code[0] === 'z' || code[0] === '1' || code[0] === '9';
+    }
+
+    /**
+     * ドラ翻数を計算する (ドラ表示牌によるドラのみ。赤ドラは別途数える)
+     * @param {Tile[]} tiles - 和了者の全ての牌 (鳴き牌を含む)
+     * @param {Tile[]} doraIndicators - ドラ表示牌
+     * @returns {number}
      */
-    static _calculateDora(hand, doraIndicators) {
+    static _calculateDora(tiles, doraIndicators) {
         let count = 0;
         
-        // ドラ表示牌から実際のドラ牌を特定 (例: 1m -> 2m)
-        const effectiveDoraCodes = this._getEffectiveDoraCodes(doraIndicators);
+        // ドラ表示牌から実際のドラ牌を特定 (例: 1p -> 2p, 3人麻雀では 1m -> 9m)
+        const effectiveDoraCodes = this.getEffectiveDoraCodes(doraIndicators);
         
-        hand.forEach(tile => {
-            // 赤ドラボーナス
-            if (tile.isRed) {
-                count++;
-            }
-            // 通常ドラボーナス
+        tiles.forEach(tile => {
+            // 表示牌が複数あれば同じ牌が重複してドラになる
+            count += effectiveDoraCodes.filter(code => code === tile.toNormalCode()).length;
+        });
+        return count; 
+    }
+    
+    /**
+     * 抜きドラの翻数を計算する
+     * 抜いた北は1枚につき1翻。北がドラの場合はさらにドラとして加算する
+     * @param {Tile[]} nukiDora - 抜いた北の配列
+     * @param {Tile[]} doraIndicators - ドラ表示牌
+     * @returns {number}
+     */
+    static _calculateNukiDora(nukiDora, doraIndicators) {
+        const effectiveDoraCodes = this.getEffectiveDoraCodes(doraIndicators);
+        let count = nukiDora.length;
+
+        nukiDora.forEach(tile => {
             if (effectiveDoraCodes.includes(tile.toNormalCode())) {
                 count++;
             }
         });
-        // 簡易的にダミーで返す
-        return count; 
+        return count;
     }
-    
+
+    /**
+     * 裏ドラの翻数を計算する (立直している場合のみ)
+     * 抜いた北も裏ドラの対象になる
+     * @param {Player} winner - 和了者
+     * @param {Tile[]} tiles - 手牌と鳴いた牌
+     * @param {Tile[]} [uraDoraIndicators] - 裏ドラ表示牌
+     * @returns {number}
+     */
+    static _calculateUraDora(winner, tiles, uraDoraIndicators) {
+        if (!winner.isRiichi || !uraDoraIndicators) return 0;
+        return this._calculateDora([...tiles, ...winner.nukiDora], uraDoraIndicators);
+    }
+
     /**
      * ドラ表示牌から実際のドラ牌のコードリストを返す
-     * 例: 1m -> 2m, 9m -> 1m, z4(北) -> z1(東)
+     * 例: 1p -> 2p, 9p -> 1p, z4(北) -> z1(東), z7(中) -> z5(白)
+     * 3人麻雀では萬子は1と9しかないため、1m -> 9m, 9m -> 1m となる
+     * @param {Tile[]} doraIndicators - ドラ表示牌
+     * @returns {string[]} ドラ牌のコード (表示牌が重複すれば同じコードも重複する)
      */
-    static _getEffectiveDoraCodes(doraIndicators) {
-        // ... (ドラめくりロジック) ...
-        return []; // ダミー
+    static getEffectiveDoraCodes(doraIndicators) {
+        return doraIndicators.map(indicator => {
+            const value = indicator.value;
+
+            switch (indicator.type) {
+                case TILE_TYPE.MANZU:
+                    return `${value === 1 ? 9 : 1}${TILE_TYPE.MANZU}`;
+                case TILE_TYPE.JIHAI:
+                    // 風牌 (東南西北) と三元牌 (白發中) はそれぞれの中で循環
+                    if (value <= 4) return `${TILE_TYPE.JIHAI}${value % 4 + 1}`;
+                    return `${TILE_TYPE.JIHAI}${(value - 5 + 1) % 3 + 5}`;
+                default:
+                    return `${value % 9 + 1}${indicator.type}`;
+            }
+        });
     }
 }
@@ -0,0 +1,264 @@
+/**
+ * js/logic/Shanten.js
+ * 向聴数 (シャンテン数) の計算ロジック
+ * 標準形 (4面子1雀頭)・七対子・国士無双の向聴数を計算する
+ * CPUの思考だけでなく、UIの表示や牌譜解析からも利用する
+ */
+
+import { Tile } from '../core/Tile.js';
+import { TILE_TYPE } from '../config.js';
+
+// 牌種インデックスの並び (萬子1-9, 筒子1-9, 索子1-9, 字牌1-7 の計34種)
+const SUIT_ORDER = [TILE_TYPE.MANZU, TILE_TYPE.PINZU, TILE_TYPE.SOUZU];
+export const KIND_COUNT = 34;
+
+// 幺九牌 (国士無双の対象) の牌種インデックス
+export const YAOCHU_INDEXES = [0, 8, 9, 17, 18, 26, 27, 28, 29, 30, 31, 32, 33];
+
+export class Shanten {
+
+    /**
+     * 手牌の向聴数を計算する（入り口）
+     * 標準形・七対子・国士無双のうち最小の向聴数を採用する
+     * @param {Tile[]} hand - 手牌 (鳴き牌を除く)
+     * @param {Array<Object>} naki - 鳴き牌の配列
+     * @returns {{shanten: number, form: string}} 向聴数 (0=聴牌, -1=和了) と、その形 ('normal', 'chiitoitsu', 'kokushi')
+     */
+    static calculate(hand, naki = []) {
+        return this.calculateFromCounts(this.toCounts(hand), naki.length);
+    }
+
+    /**
+     * 牌種ごとの枚数配列から向聴数を計算する
+     * (有効牌の計算など、枚数を直接操作したい場合に利用する)
+     * @param {number[]} counts - 牌種ごとの枚数 (長さ34)
+     * @param {number} meldCount - 鳴いた面子の数
+     * @returns {{shanten: number, form: string}}
+     */
+    static calculateFromCounts(counts, meldCount = 0) {
+        let result = { shanten: this.calculateNormal(counts, meldCount), form: 'normal' };
+
+        // 七対子と国士無双は門前のみ
+        if (meldCount === 0) {
+            const chiitoitsu = this.calculateChiitoitsu(counts);
+            if (chiitoitsu < result.shanten) {
+                result = { shanten: chiitoitsu, form: 'chiitoitsu' };
+            }
+
+            const kokushi = this.calculateKokushi(counts);
+            if (kokushi < result.shanten) {
+                result = { shanten: kokushi, form: 'kokushi' };
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 牌種ごとの枚数配列から向聴数を計算する (キャッシュ付き)
+     * CPUの思考では1回の判断の中で同じ手牌の向聴数を何度も求めるため、結果を使い回す
+     * @param {number[]} counts - 牌種ごとの枚数 (長さ34)
+     * @param {number} meldCount - 鳴いた面子の数
+     * @param {Map<string, number>} cache - 向聴数のキャッシュ (副露数と牌種ごとの枚数をつなげた文字列がキー)
+     * @returns {number} 向聴数
+     */
+    static calculateCached(counts, meldCount, cache) {
+        const key = `${meldCount}:${counts.join('')}`;
+        let shanten = cache.get(key);
+        if (shanten === undefined) {
+            shanten = this.calculateFromCounts(counts, meldCount).shanten;
+            cache.set(key, shanten);
+        }
+        return shanten;
+    }
+
+    /**
+     * 標準形 (4面子1雀頭) の向聴数を計算する
+     * 向聴数 = 8 - 2 × 面子数 - 塔子数 - 雀頭 (面子 + 塔子は4ブロックまで)
+     * @param {number[]} counts - 牌種ごとの枚数
+     * @param {number} meldCount - 鳴いた面子の数 (完成面子として数える)
+     * @returns {number}
+     */
+    static calculateNormal(counts, meldCount = 0) {
+        const work = [...counts];
+        const state = { best: 8 };
+
+        // 1. 雀頭を固定しない場合
+        this._searchBlocks(work, 0, meldCount, 0, 0, state);
+
+        // 2. 各牌種を雀頭として固定した場合
+        for (let i = 0; i < KIND_COUNT; i++) {
+            if (work[i] >= 2) {
+                work[i] -= 2;
+                this._searchBlocks(work, 0, meldCount, 0, 1, state);
+                work[i] += 2;
+            }
+        }
+
+        return state.best;
+    }
+
+    /**
+     * 七対子の向聴数を計算する
+     * 同じ牌の4枚使いは1対子としか数えない
+     * @param {number[]} counts - 牌種ごとの枚数
+     * @returns {number}
+     */
+    static calculateChiitoitsu(counts) {
+        let pairs = 0;
+        let kinds = 0;
+
+        for (const count of counts) {
+            if (count >= 1) kinds++;
+            if (count >= 2) pairs++;
+        }
+
+        // 対子が7種類揃っても、牌の種類が足りなければその分だけ向聴数が増える
+        return 6 - pairs + Math.max(0, 7 - kinds);
+    }
+
+    /**
+     * 国士無双の向聴数を計算する
+     * @param {number[]} counts - 牌種ごとの枚数
+     * @returns {number}
+     */
+    static calculateKokushi(counts) {
+        let kinds = 0;
+        let hasPair = false;
+
+        for (const index of YAOCHU_INDEXES) {
+            if (counts[index] >= 1) kinds++;
+            if (counts[index] >= 2) hasPair = true;
+        }
+
+        return 13 - kinds - (hasPair ? 1 : 0);
+    }
+
+    // --- 牌種インデックスの変換 ---
+
+    /**
+     * 牌の配列を牌種ごとの枚数配列に変換する (赤ドラは無視)
+     * @param {Tile[]} tiles - 牌の配列
+     * @returns {number[]} 長さ34の枚数配列
+     */
+    static toCounts(tiles) {
+        const counts = new Array(KIND_COUNT).fill(0);
+        for (const tile of tiles) {
+            counts[this.toKindIndex(tile)]++;
+        }
+        return counts;
+    }
+
+    /**
+     * 牌を牌種インデックス (0〜33) に変換する
+     * @param {Tile} tile - 対象の牌
+     * @returns {number}
+     */
+    static toKindIndex(tile) {
+        if (tile.type === TILE_TYPE.JIHAI) {
+            return 27 + tile.value - 1;
+        }
+        return SUIT_ORDER.indexOf(tile.type) * 9 + tile.value - 1;
+    }
+
+    /**
+     * 牌種インデックスを牌コード (例: '1p', 'z1') に変換する
+     * @param {number} index - 牌種インデックス (0〜33)
+     * @returns {string} Tile.toNormalCode() と同じ形式のコード
+     */
+    static indexToCode(index) {
+        if (index >= 27) {
+            return `${TILE_TYPE.JIHAI}${index - 27 + 1}`;
+        }
+        return `${index % 9 + 1}${SUIT_ORDER[Math.floor(index / 9)]}`;
+    }
+
+    /**
+     * 牌コード (例: '1p', 'z1') を牌種インデックスに変換する
+     * @param {string} code - Tile.toNormalCode() と同じ形式のコード
+     * @returns {number}
+     */
+    static codeToIndex(code) {
+        if (code[0] === TILE_TYPE.JIHAI) {
+            return 27 + parseInt(code.slice(1)) - 1;
+        }
+        return SUIT_ORDER.indexOf(code.slice(-1)) * 9 + parseInt(code[0]) - 1;
+    }
+
+    // --- 内部処理 ---
+
+    /**
+     * 面子・塔子の取り方を再帰的に探索し、最小の向聴数を state.best に記録する
+     * @param {number[]} counts - 牌種ごとの残り枚数 (探索中に増減させる)
+     * @param {number} index - 探索を開始する牌種インデックス
+     * @param {number} mentsu - 確定した面子数 (鳴き面子を含む)
+     * @param {number} taatsu - 確定した塔子数 (対子・両面・嵌張・辺張)
+     * @param {number} pair - 雀頭の有無 (0 or 1)
+     * @param {{best: number}} state - 探索結果
+     */
+    static _searchBlocks(counts, index, mentsu, taatsu, pair, state) {
+        while (index < KIND_COUNT && counts[index] === 0) {
+            index++;
+        }
+
+        // 1. 全ての牌を見終えた場合、向聴数を確定
+        if (index >= KIND_COUNT) {
+            // 面子 + 塔子は4ブロックまでしか数えない
+            const usableTaatsu = Math.min(taatsu, 4 - mentsu);
+            const shanten = 8 - 2 * mentsu - usableTaatsu - pair;
+            if (shanten < state.best) {
+                state.best = shanten;
+            }
+            return;
+        }
+
+        // 既にブロックが飽和している場合、これ以上の改善はない
+        if (state.best === -1) return;
+
+        const isSuit = index < 27;
+        const position = index % 9; // 数牌の数値 - 1
+
+        // 2. 刻子
+        if (counts[index] >= 3) {
+            counts[index] -= 3;
+            this._searchBlocks(counts, index, mentsu + 1, taatsu, pair, state);
+            counts[index] += 3;
+        }
+
+        // 3. 順子
+        if (isSuit && position <= 6 && counts[index + 1] > 0 && counts[index + 2] > 0) {
+            counts[index]--; counts[index + 1]--; counts[index + 2]--;
+            this._searchBlocks(counts, index, mentsu + 1, taatsu, pair, state);
+            counts[index]++; counts[index + 1]++; counts[index + 2]++;
+        }
+
+        // 4. 塔子 (面子 + 塔子が4ブロックに満たない場合のみ)
+        if (mentsu + taatsu < 4) {
+            // 4-1. 対子
+            if (counts[index] >= 2) {
+                counts[index] -= 2;
+                this._searchBlocks(counts, index, mentsu, taatsu + 1, pair, state);
+                counts[index] += 2;
+            }
+
+            // 4-2. 両面・辺張
+            if (isSuit && position <= 7 && counts[index + 1] > 0) {
+                counts[index]--; counts[index + 1]--;
+                this._searchBlocks(counts, index, mentsu, taatsu + 1, pair, state);
+                counts[index]++; counts[index + 1]++;
+            }
+
+            // 4-3. 嵌張
+            if (isSuit && position <= 6 && counts[index + 2] > 0) {
+                counts[index]--; counts[index + 2]--;
+                this._searchBlocks(counts, index, mentsu, taatsu + 1, pair, state);
+                counts[index]++; counts[index + 2]++;
+            }
+        }
+
+        // 5. 孤立牌として扱う
+        counts[index]--;
+        this._searchBlocks(counts, index, mentsu, taatsu, pair, state);
+        counts[index]++;
+    }
+}
@@ -7,6 +7,11 @@ import { GameConfig } from './config.js';
 import { GameState } from './core/GameState.js'; 
 import { Renderer } from './view/Renderer.js';
 import { Player } from './core/Player.js'; 
+import { Random } from './core/Random.js';
+import { Scenario } from './core/Scenario.js';
+
+// 前回の対局のシードを保存する localStorage のキー ("前回と同じ山で対局" 用)
+const LAST_SEED_STORAGE_KEY = 'openSanma.lastSeed';
 
 class Main {
     constructor() {
@@ -17,12 +22,20 @@ class Main {
             settingsForm: document.getElementById('game-settings'),
             btnStart: document.getElementById('btn-start'),
             roomIdInput: document.getElementById('online-input'),
-            radiosMode: document.getElementsByName('mode')
+            roomId: document.getElementById('room-id'),
+            gameLength: document.getElementById('game-length'),
+            radiosMode: document.getElementsByName('mode'),
+            replaySeed: document.getElementById('replay-seed'),
+            seedInput: document.getElementById('seed-input'),
+            lastSeed: document.getElementById('last-seed'),
+            scenarioFile: document.getElementById('scenario-file'),
+            scenarioName: document.getElementById('scenario-name')
         };
 
         this.config = new GameConfig();
         this.gameState = null;
         this.renderer = null;
+        this.scenarioSource = null; // ロビーで読み込んだシナリオの JSON 文字列
 
         this.init();
     }
@@ -35,6 +48,9 @@ class Main {
 
         // イベントリスナーの登録
         this.bindEvents();
+
+        // 前回の対局のシードを表示
+        this.showLastSeed();
     }
 
     /**
@@ -57,10 +73,34 @@ class Main {
             });
         });
 
+        // "前回と同じ山で対局" を選んだ場合、シード入力欄は使わない
+        this.dom.replaySeed.addEventListener('change', (e) => {
+            this.dom.seedInput.disabled = e.target.checked;
+        });
+
+        // シナリオファイルの読み込み
+        this.dom.scenarioFile.addEventListener('change', (e) => {
+            this.handleScenarioFile(e.target.files[0]);
+        });
+
         // 新規追加: Rendererから発火される打牌イベントを捕捉
         document.addEventListener('discardTile', (e) => {
             this.handleUserDiscard(e.detail);
         });
+
+        // Rendererのアクションボタン (北抜きなど) のイベントを捕捉
+        document.addEventListener('playerAction', (e) => {
+            if (this.gameState) {
+                this.gameState.handlePlayerAction(e.detail);
+            }
+        });
+
+        // リザルトの「次へ」で次の局を開始
+        document.addEventListener('nextRoundRequested', () => {
+            if (this.gameState) {
+                this.gameState.startNextRound();
+            }
+        });
     }
     
     /**
@@ -99,8 +139,14 @@ class Main {
         // GameStateにRendererのインスタンスを渡し、Game Stateが変更を通知できるようにする
         this.gameState = new GameState(this.config, this.renderer);
 
+        // 次回の "前回と同じ山で対局" 用に、この対局のシードを保存する
+        this.saveLastSeed(this.gameState.seed);
+
         // 4. ゲームスタート (配牌〜開局)
         try {
+            if (this.scenarioSource) {
+                this.gameState.loadScenario(this.scenarioSource);
+            }
             console.log("Game Starting with config:", this.config);
             await this.gameState.startGame();
         } catch (e) {
@@ -110,7 +156,112 @@ class Main {
         }
     }
 
-    // ... (readSettings と switchScene メソッドは変更なし)
+    /**
+     * ロビーの入力内容を GameConfig に反映する
+     */
+    readSettings() {
+        // 1. 対局モード
+        const checkedMode = Array.from(this.dom.radiosMode).find(radio => radio.checked);
+        this.config.mode = checkedMode ? checkedMode.value : 'cpu';
+        this.config.roomId = this.config.mode === 'online' ? this.dom.roomId.value.trim() || null : null;
+
+        // 2. ルール設定
+        this.config.length = this.dom.gameLength.value;
+        for (const key of ['p3', 's3', 'p7', 's7']) {
+            const checkbox = document.getElementById(`red-${key[1]}${key[0]}`);
+            this.config.redRules[key] = checkbox && checkbox.checked ? 1 : 0;
+        }
+
+        // 3. CPUの強さと打ち筋 (席ごと) と、強いCPUの思考時間
+        for (const id of Object.keys(this.config.cpuProfiles)) {
+            const level = document.getElementById(`cpu-${id}-level`);
+            const personality = document.getElementById(`cpu-${id}-personality`);
+            if (level && personality) {
+                this.config.cpuProfiles[id] = { level: level.value, personality: personality.value };
+            }
+        }
+        const searchTime = document.getElementById('cpu-search-time');
+        if (searchTime) {
+            this.config.cpuSearchTime = Number(searchTime.value);
+        }
+
+        // 4. シード (前回と同じ山 > 入力されたシード > ランダム の優先順)
+        if (this.dom.replaySeed.checked) {
+            this.config.seed = this.loadLastSeed();
+        } else {
+            this.config.seed = Random.parseSeed(this.dom.seedInput.value);
+        }
+    }
+
+    /**
+     * ロビーで選択されたシナリオファイルを読み込む
+     * 内容の検証はここで行い、積み込みは対局開始時に GameState が行う
+     * @param {File | undefined} file - 選択された JSON ファイル
+     */
+    async handleScenarioFile(file) {
+        this.scenarioSource = null;
+        this.dom.scenarioName.textContent = '';
+        if (!file) return;
+
+        try {
+            const source = await file.text();
+            const scenario = Scenario.parse(source);
+            this.scenarioSource = source;
+            this.dom.scenarioName.textContent = scenario.name;
+        } catch (e) {
+            console.error("Scenario Error:", e);
+            alert("シナリオを読み込めませんでした: " + e.message);
+            this.dom.scenarioFile.value = '';
+        }
+    }
+
+    /**
+     * 画面 (シーン) を切り替える
+     * @param {string} sceneName - 'lobby' or 'game'
+     */
+    switchScene(sceneName) {
+        const scenes = { lobby: this.dom.lobby, game: this.dom.game };
+        Object.entries(scenes).forEach(([name, element]) => {
+            const isActive = (name === sceneName);
+            element.classList.toggle('active', isActive);
+            element.classList.toggle('hidden', !isActive);
+        });
+    }
+
+    /**
+     * 前回の対局のシードを読み込む
+     * @returns {number | null} シード、または保存されていない場合はnull
+     */
+    loadLastSeed() {
+        try {
+            return Random.parseSeed(localStorage.getItem(LAST_SEED_STORAGE_KEY));
+        } catch (e) {
+            // プライベートモードなどで localStorage が使えない場合
+            return null;
+        }
+    }
+
+    /**
+     * 対局のシードを "前回の対局" として保存する
+     * @param {number} seed - 対局のシード
+     */
+    saveLastSeed(seed) {
+        try {
+            localStorage.setItem(LAST_SEED_STORAGE_KEY, String(seed));
+        } catch (e) {
+            console.warn("シードを保存できませんでした:", e);
+        }
+        this.showLastSeed();
+    }
+
+    /**
+     * ロビーに前回の対局のシードを表示し、"前回と同じ山で対局" の選択可否を切り替える
+     */
+    showLastSeed() {
+        const lastSeed = this.loadLastSeed();
+        this.dom.replaySeed.disabled = (lastSeed === null);
+        this.dom.lastSeed.textContent = lastSeed === null ? '' : `(シード: ${lastSeed})`;
+    }
 
     // アプリケーション起動
     // window.addEventListener('DOMContentLoaded', () => {
@@ -59,9 +59,21 @@ export class Renderer {
             } else {
                 windEl.classList.remove('parent');
             }
+
+            // 立直棒 (供託に出している間のみ表示)
+            container.querySelector('.player-info .riichi-stick').classList.toggle('hidden', !p.isRiichi);
         });
     }
 
+    /**
+     * 自分のフリテン表示の切り替え
+     * @param {boolean} isFuriten - フリテンかどうか
+     */
+    updateFuriten(isFuriten) {
+        const indicator = this.playerContainers.self.querySelector('.player-info .furiten');
+        indicator.classList.toggle('hidden', !isFuriten);
+    }
+
     /**
      * 手牌の描画（自分は表、他家は裏）
      */
@@ -84,6 +96,21 @@ export class Renderer {
         });
     }
 
+    /**
+     * 指定したプレイヤーの手牌を公開する (流局時の聴牌宣言など)
+     * @param {Player[]} players - 手牌を公開するプレイヤー
+     */
+    revealHands(players) {
+        players.forEach(p => {
+            const handArea = this.uiMap[p.id].querySelector('.hand-area');
+            handArea.innerHTML = '';
+
+            p.hand.forEach(tile => {
+                handArea.appendChild(this.createTileElement(tile, false));
+            });
+        });
+    }
+
     /**
      * 河（捨て牌）の更新
      */
@@ -92,12 +119,60 @@ export class Renderer {
         const kawaArea = container.querySelector('.kawa-area');
         kawaArea.innerHTML = '';
 
-        player.kawa.forEach(tile => {
+        // 立直宣言牌は横向きにする (宣言牌が鳴かれた場合は次の牌を横向きにする)
+        const riichiIndex = player.kawa.findIndex(t => t.uniqueId === player.riichiTileId);
+        let isRiichiTilePending = riichiIndex !== -1;
+
+        player.kawa.forEach((tile, index) => {
             const tileEl = this.createTileElement(tile, false);
+            if (player.calledKawaIds.has(tile.uniqueId)) {
+                tileEl.classList.add('called'); // 他家に鳴かれた牌
+            } else if (isRiichiTilePending && index >= riichiIndex) {
+                tileEl.classList.add('riichi-tile');
+                isRiichiTilePending = false;
+            }
             kawaArea.appendChild(tileEl);
         });
     }
 
+    /**
+     * 鳴き (ポン・カン) エリアの更新
+     * 鳴いた牌は横向きにして区別する
+     */
+    updateNaki(player) {
+        const container = this.uiMap[player.id];
+        const nakiArea = container.querySelector('.naki-area');
+        nakiArea.innerHTML = '';
+
+        player.naki.forEach(meld => {
+            const group = document.createElement('div');
+            group.className = 'naki-group';
+
+            meld.tiles.forEach(tile => {
+                const tileEl = this.createTileElement(tile, false);
+                if (meld.calledTile && meld.calledTile.uniqueId === tile.uniqueId) {
+                    tileEl.classList.add('called-tile');
+                }
+                group.appendChild(tileEl);
+            });
+            nakiArea.appendChild(group);
+        });
+    }
+
+    /**
+     * 抜きドラ (北抜き) エリアの更新
+     * 鳴きエリアの隣に抜いた北を並べる
+     */
+    updateNukiDora(player) {
+        const container = this.uiMap[player.id];
+        const nukiArea = container.querySelector('.nuki-area');
+        nukiArea.innerHTML = '';
+
+        player.nukiDora.forEach(tile => {
+            nukiArea.appendChild(this.createTileElement(tile, false));
+        });
+    }
+
     /**
      * ドラ表示牌の更新
      */
@@ -110,6 +185,14 @@ export class Renderer {
         });
     }
 
+    /**
+     * 残りのツモ可能な牌数の更新
+     * @param {number} count - 残り枚数
+     */
+    updateTilesLeft(count) {
+        document.getElementById('deck-count').textContent = count;
+    }
+
     /**
      * ターンインジケータの更新
      */
@@ -121,12 +204,19 @@ export class Renderer {
 
     /**
      * 打牌操作を有効化
+     * @param {Player} player - 打牌するプレイヤー
+     * @param {Tile[]} [allowedTiles] - 選択できる牌を限定する場合 (立直の宣言牌・立直後のツモ切り)。限定した牌は強調表示する
      */
-    enableDiscardInput(player) {
+    enableDiscardInput(player, allowedTiles = null) {
         if (player.id !== this.selfPlayer.id) return;
         const handArea = this.playerContainers.self.querySelector('.hand-area');
+        const allowedIds = allowedTiles ? allowedTiles.map(t => t.uniqueId) : null;
         
         handArea.querySelectorAll('.tile').forEach(tileEl => {
+            if (allowedIds) {
+                if (!allowedIds.includes(parseInt(tileEl.dataset.uniqueId))) return;
+                tileEl.classList.add('highlight');
+            }
             tileEl.classList.add('selectable');
             tileEl.onclick = () => this.handleTileClick(tileEl);
         });
@@ -144,14 +234,15 @@ export class Renderer {
     disableDiscardInput() {
         const handArea = this.playerContainers.self.querySelector('.hand-area');
         handArea.querySelectorAll('.tile.selectable').forEach(el => {
-            el.classList.remove('selectable');
+            el.classList.remove('selectable', 'highlight');
             el.onclick = null;
         });
     }
 
     /**
      * アクションボタン（リーチ、ポン、ロン等）の表示
-     * @param {string[]} actions - ['riichi', 'tsumo', 'ron', 'pon', 'skip']
+     * @param {string[]} actions - ['riichi', 'tsumo', 'ron', 'pon', 'kan', 'kita', 'skip']
+     *                            暗槓・加槓は 'kan:牌コード' (例: 'kan:z1')
      */
     showActionButtons(actions) {
         this.actionControls.innerHTML = '';
@@ -159,7 +250,7 @@ export class Renderer {
 
         actions.forEach(action => {
             const btn = document.createElement('button');
-            btn.className = `action-btn btn-${action}`;
+            btn.className = `action-btn btn-${action.split(':')[0]}`;
             btn.textContent = this._getActionLabel(action);
             btn.onclick = () => {
                 document.dispatchEvent(new CustomEvent('playerAction', { detail: action }));
@@ -169,37 +260,153 @@ export class Renderer {
         });
     }
 
+    /**
+     * アクションボタンを隠す (打牌などで選択肢が不要になった場合)
+     */
+    hideActionButtons() {
+        this.actionControls.innerHTML = '';
+        this.actionControls.classList.add('hidden');
+    }
+
     /**
      * リザルトモーダルの表示
-     * @param {Object} result - { winner, yaku, han, fu, score, tsumoInfo }
+     * @param {Object} result - { winner, yaku, han, fu, score, payments, depositBonus, uraDoraIndicators }
+     *                          yaku は [{ name, han, yakuman }] の配列 (役ごとの翻数の内訳)
      */
     showResultModal(result) {
         const modal = document.getElementById('result-modal');
-        const content = modal.querySelector('.modal-content');
         
-        modal.querySelector('.result-winner').textContent = `${result.winner.name} の和了`;
-        modal.querySelector('.result-score').textContent = `${result.score} 点`;
+        modal.querySelector('#result-title').textContent = `${result.winner.name} の和了`;
         
-        const yakuList = modal.querySelector('.result-yaku');
+        // 役の内訳 (役名と翻数)
+        const yakuList = modal.querySelector('#yaku-list');
         yakuList.innerHTML = '';
         result.yaku.forEach(y => {
-            const li = document.createElement('li');
-            li.textContent = y;
-            yakuList.appendChild(li);
+            const row = document.createElement('div');
+            row.className = 'yaku-row';
+
+            const name = document.createElement('span');
+            name.textContent = y.name;
+            const han = document.createElement('span');
+            han.textContent = y.yakuman
+                ? (y.yakuman > 1 ? `${y.yakuman}倍役満` : '役満')
+                : `${y.han} 翻`;
+
+            row.appendChild(name);
+            row.appendChild(han);
+            yakuList.appendChild(row);
         });
 
-        modal.querySelector('.result-details').textContent = `${result.fu} 符 ${result.han} 翻`;
+        // 裏ドラ表示牌 (立直者の和了のみ)
+        if (result.uraDoraIndicators && result.uraDoraIndicators.length > 0) {
+            const uraRow = document.createElement('div');
+            uraRow.className = 'yaku-row ura-dora-row';
+
+            const label = document.createElement('span');
+            label.textContent = '裏ドラ表示牌';
+            const tiles = document.createElement('span');
+            result.uraDoraIndicators.forEach(tile => tiles.appendChild(this.createTileElement(tile, false)));
+
+            uraRow.appendChild(label);
+            uraRow.appendChild(tiles);
+            yakuList.appendChild(uraRow);
+        }
+
+        const total = document.createElement('div');
+        total.className = 'yaku-row yaku-total';
+        total.textContent = `${result.fu} 符 ${result.han} 翻 ${result.score} 点`;
+        yakuList.appendChild(total);
+
+        // 支払いの内訳 (ツモは支払い方式・積み棒を反映した1人あたりの金額)
+        if (result.payments) {
+            const payment = document.createElement('div');
+            payment.className = 'yaku-row yaku-total';
+            payment.textContent = this._formatPayments(result.payments, result.winner.isParent);
+            yakuList.appendChild(payment);
+        }
+
+        // 供託 (リーチ棒) の回収
+        if (result.depositBonus > 0) {
+            const deposit = document.createElement('div');
+            deposit.className = 'yaku-row yaku-total';
+            deposit.textContent = `供託 +${result.depositBonus.toLocaleString()}点`;
+            yakuList.appendChild(deposit);
+        }
         
+        this._openResultModal(modal);
+    }
+
+    /**
+     * 流局時のリザルトモーダルの表示
+     * @param {Object} result - { title, players, tenpaiPlayers }
+     *                          tenpaiPlayers が null の場合 (途中流局) は聴牌/不聴を表示しない
+     */
+    showRyuukyokuModal(result) {
+        const modal = document.getElementById('result-modal');
+
+        modal.querySelector('#result-title').textContent = result.title;
+
+        // 各プレイヤーの聴牌/不聴
+        const yakuList = modal.querySelector('#yaku-list');
+        yakuList.innerHTML = '';
+        (result.tenpaiPlayers ? result.players : []).forEach(p => {
+            const row = document.createElement('div');
+            row.className = 'yaku-row';
+
+            const name = document.createElement('span');
+            name.textContent = p.name;
+            const status = document.createElement('span');
+            status.textContent = result.tenpaiPlayers.includes(p) ? '聴牌' : '不聴';
+
+            row.appendChild(name);
+            row.appendChild(status);
+            yakuList.appendChild(row);
+        });
+
+        this._openResultModal(modal);
+    }
+
+    /**
+     * リザルトモーダルを開き、「次へ」ボタンで次局を要求する
+     */
+    _openResultModal(modal) {
         this.modalOverlay.classList.remove('hidden');
         modal.classList.remove('hidden');
 
-        modal.querySelector('.btn-next-round').onclick = () => {
+        modal.querySelector('#btn-next-round').onclick = () => {
             this.modalOverlay.classList.add('hidden');
             modal.classList.add('hidden');
             document.dispatchEvent(new CustomEvent('nextRoundRequested'));
         };
     }
 
+    /**
+     * リザルトモーダルの点数移動エリアの更新
+     * @param {Player[]} players - プレイヤー配列
+     * @param {Object<string, number>} deltas - プレイヤーIDごとの点数の増減
+     */
+    updateScoreMove(players, deltas) {
+        const scoreMove = document.getElementById('score-move');
+        scoreMove.innerHTML = '';
+
+        players.forEach(p => {
+            const delta = deltas[p.id] || 0;
+            const row = document.createElement('div');
+            row.className = 'score-move-row';
+
+            const name = document.createElement('span');
+            name.textContent = p.name;
+            const diff = document.createElement('span');
+            diff.textContent = delta > 0 ? `+${delta.toLocaleString()}` : delta.toLocaleString();
+            if (delta > 0) diff.classList.add('plus');
+            if (delta < 0) diff.classList.add('minus');
+
+            row.appendChild(name);
+            row.appendChild(diff);
+            scoreMove.appendChild(row);
+        });
+    }
+
     /**
      * 牌DOMの生成
      */
@@ -226,10 +433,31 @@ export class Renderer {
         setTimeout(() => el.remove(), 1200);
     }
 
+    /**
+     * 支払額を表示用の文字列にする (例: ロン 3900点 / ツモ 1300-2600点 / 2600点オール)
+     * @param {{ron?: number, parent?: number, child?: number}} payments - Scorer が計算した立場ごとの支払額
+     * @param {boolean} isParent - 和了者が親かどうか
+     */
+    _formatPayments(payments, isParent) {
+        if (payments.ron !== undefined) {
+            return `ロン ${payments.ron.toLocaleString()}点`;
+        }
+        if (isParent) {
+            return `ツモ ${payments.child.toLocaleString()}点オール`;
+        }
+        return `ツモ ${payments.child.toLocaleString()}-${payments.parent.toLocaleString()}点`;
+    }
+
     _getActionLabel(action) {
+        // 暗槓・加槓はカンする牌も表示する
+        if (action.startsWith('kan:')) {
+            const code = action.slice('kan:'.length);
+            return `カン ${TILE_EMOJI_MAP[code] || code}`;
+        }
+
         const labels = {
             riichi: '立直', tsumo: 'ツモ', ron: 'ロン', 
-            pon: 'ポン', kan: 'カン', skip: 'スルー'
+            pon: 'ポン', kan: 'カン', kita: '北抜き', kyuushu: '九種九牌', skip: 'スルー'
         };
         return labels[action] || action;
     }